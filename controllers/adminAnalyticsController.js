@@ -1,6 +1,7 @@
 const Booking = require('../models/Booking');
 const Room = require('../models/Room');
 const User = require('../models/User');
+const { COUNTED_STATUSES } = require('../utils/bookingHelper');
 
 // @desc    Get comprehensive analytics data
 // @route   GET /api/admin/analytics
@@ -27,7 +28,7 @@ exports.getAnalytics = async (req, res, next) => {
     // Get basic stats
     const totalRooms = await Room.countDocuments();
     const activeBookings = await Booking.countDocuments({
-      status: 'confirmed',
+      status: { $in: COUNTED_STATUSES },
       startTime: { $lte: now },
       endTime: { $gte: now }
     });
@@ -45,7 +46,7 @@ exports.getAnalytics = async (req, res, next) => {
       {
         $match: {
           createdAt: { $gte: startDate },
-          status: 'confirmed'
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -78,7 +79,7 @@ exports.getAnalytics = async (req, res, next) => {
       {
         $match: {
           createdAt: { $gte: startDate },
-          status: 'confirmed'
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -123,7 +124,7 @@ exports.getDashboardStats = async (req, res, next) => {
     // Today's stats
     const todayBookings = await Booking.countDocuments({
       startTime: { $gte: startOfDay, $lt: endOfDay },
-      status: 'confirmed'
+      status: { $in: COUNTED_STATUSES }
     });
 
     const totalUsers = await User.countDocuments();
@@ -132,7 +133,7 @@ exports.getDashboardStats = async (req, res, next) => {
 
     // Current active bookings
     const activeBookings = await Booking.countDocuments({
-      status: 'confirmed',
+      status: { $in: COUNTED_STATUSES },
       startTime: { $lte: now },
       endTime: { $gte: now }
     });
@@ -183,7 +184,7 @@ exports.getRoomUtilization = async (req, res, next) => {
             {
               $match: {
                 $expr: { $eq: ['$room', '$$roomId'] },
-                status: 'confirmed',
+                status: { $in: COUNTED_STATUSES },
                 startTime: { $gte: startDate }
               }
             }
@@ -254,7 +255,7 @@ exports.getBookingTrends = async (req, res, next) => {
       {
         $match: {
           startTime: { $gte: startDate },
-          status: 'confirmed'
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -273,7 +274,7 @@ exports.getBookingTrends = async (req, res, next) => {
       {
         $match: {
           startTime: { $gte: startDate },
-          status: 'confirmed'
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -3,6 +3,30 @@ const Room = require('../models/Room');
 const User = require('../models/User');
 const AvailabilityLog = require('../models/AvailabilityLog');
 const moment = require('moment');
+const { COUNTED_STATUSES } = require('../utils/bookingHelper');
+
+// No-show counts per organizer in a date range, optionally for given users only
+const aggregateNoShows = async (start, end, userIds = null) => {
+  const match = {
+    startTime: { $gte: start, $lte: end },
+    noShow: true
+  };
+  if (userIds) {
+    match.bookedBy = { $in: userIds };
+  }
+
+  return Booking.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$bookedBy',
+        noShowCount: { $sum: 1 },
+        lastNoShow: { $max: '$startTime' }
+      }
+    },
+    { $sort: { noShowCount: -1 } }
+  ]);
+};
 
 // @desc    Get comprehensive analytics for dashboard
 // @route   GET /api/analytics
@@ -47,13 +71,13 @@ exports.getAnalytics = async (req, res, next) => {
     const activeBookings = await Booking.countDocuments({
       startTime: { $lte: now },
       endTime: { $gte: now },
-      status: 'confirmed'
+      status: { $in: COUNTED_STATUSES }
     });
 
     // Get total bookings for the period
     const totalBookings = await Booking.countDocuments({
       startTime: { $gte: start, $lte: end },
-      status: 'confirmed'
+      status: { $in: COUNTED_STATUSES }
     });
 
     // Calculate overall utilization rate
@@ -68,7 +92,7 @@ exports.getAnalytics = async (req, res, next) => {
       const bookings = await Booking.find({
         room: room._id,
         startTime: { $gte: start, $lte: end },
-        status: 'confirmed'
+        status: { $in: COUNTED_STATUSES }
       });
 
       const totalBookedMinutes = bookings.reduce((sum, booking) => {
@@ -110,7 +134,7 @@ exports.getAnalytics = async (req, res, next) => {
       {
         $match: {
           startTime: { $gte: start, $lte: end },
-          status: 'confirmed'
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -145,7 +169,7 @@ exports.getAnalytics = async (req, res, next) => {
       
       const dayBookings = await Booking.countDocuments({
         startTime: { $gte: dayStart, $lte: dayEnd },
-        status: 'confirmed'
+        status: { $in: COUNTED_STATUSES }
       });
       
       const maxPossibleBookings = totalRooms * 10; // 10 possible slots per room per day
@@ -163,7 +187,7 @@ exports.getAnalytics = async (req, res, next) => {
       {
         $match: {
           startTime: { $gte: start, $lte: end },
-          status: 'confirmed'
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -193,7 +217,7 @@ exports.getAnalytics = async (req, res, next) => {
     // Booking frequency by type
     const recurringBookings = await Booking.countDocuments({
       startTime: { $gte: start, $lte: end },
-      status: 'confirmed',
+      status: { $in: COUNTED_STATUSES },
       recurrenceGroup: { $exists: true }
     });
 
@@ -279,7 +303,7 @@ exports.getAllAnalytics = async (req, res, next) => {
       {
         $match: {
           createdAt: { $gte: start, $lte: end },
-          status: { $in: ['confirmed', 'completed'] }
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -329,7 +353,7 @@ exports.getAllAnalytics = async (req, res, next) => {
       {
         $match: {
           createdAt: { $gte: start, $lte: end },
-          status: { $in: ['confirmed', 'completed'] }
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -363,7 +387,7 @@ exports.getAllAnalytics = async (req, res, next) => {
         const bookings = await Booking.find({
           room: room._id,
           createdAt: { $gte: start, $lte: end },
-          status: { $in: ['confirmed', 'completed'] }
+          status: { $in: COUNTED_STATUSES }
         });
 
         const totalBookedMinutes = bookings.reduce((sum, booking) => {
@@ -393,7 +417,7 @@ exports.getAllAnalytics = async (req, res, next) => {
       {
         $match: {
           createdAt: { $gte: start, $lte: end },
-          status: { $in: ['confirmed', 'completed'] }
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -469,7 +493,7 @@ exports.getDashboardAnalytics = async (req, res, next) => {
     // Total bookings
     const totalBookings = await Booking.countDocuments({
       startTime: { $gte: start, $lte: end },
-      status: 'confirmed'
+      status: { $in: COUNTED_STATUSES }
     });
 
     // Bookings by status
@@ -492,7 +516,7 @@ exports.getDashboardAnalytics = async (req, res, next) => {
       {
         $match: {
           startTime: { $gte: start, $lte: end },
-          status: 'confirmed'
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -541,7 +565,7 @@ exports.getDashboardAnalytics = async (req, res, next) => {
       {
         $match: {
           startTime: { $gte: start, $lte: end },
-          status: 'confirmed'
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -565,7 +589,7 @@ exports.getDashboardAnalytics = async (req, res, next) => {
       {
         $match: {
           startTime: { $gte: start, $lte: end },
-          status: 'confirmed'
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -614,7 +638,7 @@ exports.getRoomUtilization = async (req, res, next) => {
         const bookings = await Booking.find({
           room: room._id,
           startTime: { $gte: start, $lte: end },
-          status: 'confirmed'
+          status: { $in: COUNTED_STATUSES }
         });
 
         // Calculate total booked hours
@@ -670,7 +694,7 @@ exports.getTimeSlotPopularity = async (req, res, next) => {
       {
         $match: {
           startTime: { $gte: start, $lte: end },
-          status: 'confirmed'
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -724,7 +748,7 @@ exports.getUserStats = async (req, res, next) => {
       {
         $match: {
           startTime: { $gte: start, $lte: end },
-          status: 'confirmed'
+          status: { $in: COUNTED_STATUSES }
         }
       },
       {
@@ -769,6 +793,13 @@ exports.getUserStats = async (req, res, next) => {
       }
     ]);
 
+    // No-shows are cancelled bookings, so they are counted separately
+    const noShows = await aggregateNoShows(start, end, userStats.map(stat => stat._id));
+    const noShowsByUser = new Map(noShows.map(stat => [stat._id.toString(), stat.noShowCount]));
+    userStats.forEach(stat => {
+      stat.noShowCount = noShowsByUser.get(stat._id.toString()) || 0;
+    });
+
     res.status(200).json({
       success: true,
       data: userStats,
@@ -778,3 +809,62 @@ exports.getUserStats = async (req, res, next) => {
     next(error);
   }
 };
+
+// @desc    Get no-show counts per user
+// @route   GET /api/analytics/no-shows
+// @access  Private/Admin
+exports.getNoShowStats = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    
+    const start = startDate ? new Date(startDate) : moment().subtract(30, 'days').toDate();
+    const end = endDate ? new Date(endDate) : new Date();
+
+    const noShows = await aggregateNoShows(start, end);
+
+    // Total bookings per user in the same range, for a no-show rate
+    const totals = await Booking.aggregate([
+      {
+        $match: {
+          startTime: { $gte: start, $lte: end },
+          bookedBy: { $in: noShows.map(stat => stat._id) },
+          $or: [{ status: { $in: COUNTED_STATUSES } }, { noShow: true }]
+        }
+      },
+      {
+        $group: {
+          _id: '$bookedBy',
+          totalBookings: { $sum: 1 }
+        }
+      }
+    ]);
+    const totalsByUser = new Map(totals.map(stat => [stat._id.toString(), stat.totalBookings]));
+
+    const users = await User.find({ _id: { $in: noShows.map(stat => stat._id) } })
+      .select('name email department');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const data = noShows.map(stat => {
+      const user = usersById.get(stat._id.toString());
+      const totalBookings = totalsByUser.get(stat._id.toString()) || stat.noShowCount;
+      return {
+        userId: stat._id,
+        userName: user ? user.name : 'Unknown user',
+        userEmail: user ? user.email : null,
+        department: user ? user.department : null,
+        noShowCount: stat.noShowCount,
+        totalBookings,
+        noShowRate: parseFloat(((stat.noShowCount / totalBookings) * 100).toFixed(2)),
+        lastNoShow: stat.lastNoShow
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data,
+      dateRange: { start, end }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,117 @@
+const Booking = require('../models/Booking'); // Booking model
+const Room = require('../models/Room');
+const ApprovalService = require('../services/approvalService');
+
+// Load a booking request and check the caller may decide on it
+const loadRequest = async (req, res) => {
+  const booking = await Booking.findById(req.params.id).populate('room');
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  if (!ApprovalService.isApprover(booking.room, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to approve bookings for this room'
+    });
+    return null;
+  }
+
+  if (booking.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: `This booking is ${booking.status}, not waiting for approval`
+    });
+    return null;
+  }
+
+  return booking;
+};
+
+// @desc    Get booking requests waiting for my approval
+// @route   GET /api/bookings/pending-approvals
+// @access  Private
+exports.getPendingApprovals = async (req, res, next) => {
+  try {
+    const query = { status: 'pending' };
+
+    // Admins see every request; approvers only those for their rooms
+    if (req.user.role !== 'admin') {
+      const rooms = await Room.find({ approvers: req.user._id }).select('_id');
+      query.room = { $in: rooms.map(room => room._id) };
+    }
+
+    const bookings = await Booking.find(query)
+      .populate('room', 'name location capacity')
+      .populate('bookedBy', 'name email department')
+      .populate('attendees', 'name email')
+      .sort('approvalDeadline');
+
+    res.status(200).json({
+      success: true,
+      count: bookings.length,
+      data: bookings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve a pending booking (a recurring request is approved as a whole)
+// @route   PATCH /api/bookings/:id/approve
+// @access  Private (room approvers and admins)
+exports.approveBooking = async (req, res, next) => {
+  try {
+    const booking = await loadRequest(req, res);
+    if (!booking) return;
+
+    const approved = await ApprovalService.approve(booking, req.user, req.body.reason || '');
+
+    if (approved.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request was decided by someone else in the meantime'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${approved.length} booking(s) approved`,
+      data: approved
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject a pending booking (a recurring request is rejected as a whole)
+// @route   PATCH /api/bookings/:id/reject
+// @access  Private (room approvers and admins)
+exports.rejectBooking = async (req, res, next) => {
+  try {
+    const booking = await loadRequest(req, res);
+    if (!booking) return;
+
+    const rejected = await ApprovalService.reject(booking, req.user, req.body.reason);
+
+    if (rejected.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request was decided by someone else in the meantime'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${rejected.length} booking(s) rejected`,
+      data: rejected
+    });
+  } catch (error) {
+    next(error);
+  }
+};
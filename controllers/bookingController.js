@@ -4,9 +4,43 @@ const Room = require('../models/Room');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const NotificationService = require('../services/notificationService');
-const { checkOverlap, checkOverlapWithRecurring, generateRecurringDates, combineDateAndTime } = require('../utils/bookingHelper');
+const WaitlistService = require('../services/waitlistService');
+const QuotaService = require('../services/quotaService');
+const ApprovalService = require('../services/approvalService');
+const OverrideService = require('../services/overrideService');
+const RsvpService = require('../services/rsvpService');
+const HistoryService = require('../services/historyService');
+const ResourceService = require('../services/resourceService');
+const {
+  checkOverlapWithRecurring,
+  generateRecurringDates,
+  combineDateAndTime,
+  toTimeString,
+  toDateOnly,
+  excludeExceptionDates,
+  addRecurrenceException,
+  normalizeGuests,
+  BLOCKING_STATUSES
+} = require('../utils/bookingHelper');
+const { buildRule, toRRule } = require('../utils/recurrenceRule');
+const { resolvePolicy, checkBookingPolicy, checkSlotsPolicy } = require('../utils/bookingPolicy');
 const { sendEmail, bookingCreatedEmail, bookingCancelledEmail } = require('../utils/emailService');
 
+// Fields a booking's organizer may change directly; status, approval decisions and
+// responses go through their own endpoints, and policy overrides need overridePolicy
+const BOOKING_UPDATE_FIELDS = [
+  'title', 'description', 'startTime', 'endTime', 'room', 'attendees', 'externalGuests', 'resources', 'releaseIfAllDecline'
+];
+
+const pickBookingUpdates = (body) => {
+  const updates = {};
+  for (const field of BOOKING_UPDATE_FIELDS) {
+    if (body[field] !== undefined) {
+      updates[field] = body[field];
+    }
+  }
+  return updates;
+};
 
 exports.getBookings = async (req, res, next) => {
   try {
@@ -54,7 +88,9 @@ exports.getBooking = async (req, res, next) => {
       .populate('room', 'name location capacity amenities')
       .populate('bookedBy', 'name email department')
       .populate('attendees', 'name email')
-      .populate('recurrenceGroup');
+      .populate('recurrenceGroup')
+      .populate('linkedEvent', 'title mainRoom rooms status')
+      .populate('resources.resource', 'name type location');
 
     if (!booking) {
       return res.status(404).json({
@@ -75,7 +111,10 @@ exports.getBooking = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: booking
+      data: {
+        ...booking.toObject(),
+        rsvpSummary: RsvpService.summarize(booking)
+      }
     });
   } catch (error) {
     next(error);
@@ -87,13 +126,16 @@ exports.getBooking = async (req, res, next) => {
 // @access  Private
 exports.createBooking = async (req, res, next) => {
   try {
-    const { room, title, description, startTime, endTime, attendees, isRecurring, recurrenceEndDate } = req.body;
+    const { room, title, description, startTime, endTime, isRecurring, recurrenceEndDate, recurrence, rrule, exceptionDates, overridePolicy, dryRun, overrideReason, releaseIfAllDecline } = req.body;
+
+    // Internal attendees are users; external guests are invited by email only
+    const attendees = Array.isArray(req.body.attendees) ? req.body.attendees : [];
+    const externalGuests = normalizeGuests(req.body.externalGuests);
 
-    // Validate attendees
-    if (!attendees || !Array.isArray(attendees) || attendees.length === 0) {
+    if (attendees.length === 0 && externalGuests.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'At least one attendee is required for the booking'
+        message: 'At least one attendee or external guest is required for the booking'
       });
     }
 
@@ -106,53 +148,140 @@ exports.createBooking = async (req, res, next) => {
       });
     }
 
-    // Validate attendees count doesn't exceed room capacity
-    if (attendees.length > roomExists.capacity) {
+    // Validate attendees count (guests included) doesn't exceed room capacity
+    const headcount = attendees.length + externalGuests.length;
+    if (headcount > roomExists.capacity) {
       return res.status(400).json({
         success: false,
-        message: `Too many attendees. Room capacity is ${roomExists.capacity} people, but ${attendees.length} attendees were selected.`
+        message: `Too many attendees. Room capacity is ${roomExists.capacity} people, but ${headcount} attendees and guests were selected.`
       });
     }
 
     // Check for overlapping bookings (including recurring bookings)
     // Skip overlap check for admins (they can override bookings)
+    // Recurring requests are checked per occurrence below
     const startDateTime = new Date(startTime);
     const endDateTime = new Date(endTime);
+
+    // Room policy (hours, duration, advance window) applies unless an admin explicitly overrides it
+    const policyOverridden = req.user.role === 'admin' && overridePolicy === true;
+    const policy = resolvePolicy(roomExists);
+
+    // Restricted rooms: the request stays pending (and tentatively blocks the slot) until approved
+    const needsApproval = ApprovalService.needsApproval(roomExists, req.user);
+
+    if (!policyOverridden && !isRecurring) {
+      const policyErrors = checkBookingPolicy(policy, startDateTime, endDateTime);
+      if (policyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Booking does not meet the room booking policy',
+          errors: policyErrors
+        });
+      }
+    }
     
-    if (req.user.role !== 'admin') {
+    if (!isRecurring) {
+      const quotaErrors = await QuotaService.checkBooking(req.user, [{ startTime: startDateTime, endTime: endDateTime }]);
+      if (quotaErrors.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'Booking quota exceeded',
+          errors: quotaErrors
+        });
+      }
+    }
+
+    // Requested equipment needs enough free units for the whole slot (every occurrence for a series)
+    const resources = ResourceService.normalizeRequests(req.body.resources);
+    if (!isRecurring) {
+      const resourceErrors = await ResourceService.checkAvailability(resources, [{ startTime: startDateTime, endTime: endDateTime }]);
+      if (resourceErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Requested resources are not available',
+          errors: resourceErrors
+        });
+      }
+    }
+    
+    if (req.user.role !== 'admin' && !isRecurring) {
       const hasOverlap = await checkOverlapWithRecurring(room, startDateTime, endDateTime);
       if (hasOverlap) {
         return res.status(400).json({
           success: false,
-          message: 'Room is already booked for this time slot. Please choose a different time.'
+          message: 'Room is already booked for this time slot. Please choose a different time.',
+          canJoinWaitlist: true
         });
       }
     }
 
     // Handle recurring booking
-    if (isRecurring && recurrenceEndDate) {
-      const dayOfWeek = startDateTime.getDay();
+    if (isRecurring) {
+      // Weekly on the start weekday unless a recurrence object or RRULE says otherwise
+      const rule = buildRule({ rrule, recurrence }, startDateTime);
+      const recurrenceEnd = recurrenceEndDate ? new Date(recurrenceEndDate) : rule.until;
+
+      if (!recurrenceEnd && !rule.count) {
+        return res.status(400).json({
+          success: false,
+          message: 'Recurring bookings need a recurrence end date or an occurrence count'
+        });
+      }
       
       // Extract time components
-      const baseStartTime = `${startDateTime.getHours()}:${startDateTime.getMinutes().toString().padStart(2, '0')}`;
-      const baseEndTime = `${endDateTime.getHours()}:${endDateTime.getMinutes().toString().padStart(2, '0')}`;
+      const baseStartTime = toTimeString(startDateTime);
+      const baseEndTime = toTimeString(endDateTime);
 
-      // Create recurrence group
-      const recurrenceGroup = await RecurrenceGroup.create({
-        createdBy: req.user._id,
-        room,
-        recurrencePattern: 'weekly',
-        dayOfWeek,
-        startDate: startDateTime,
-        endDate: new Date(recurrenceEndDate),
-        baseStartTime,
-        baseEndTime,
-        title,
-        description
-      });
+      // Generate all recurring dates, skipping exception dates (holidays, offsites)
+      const skippedDates = (exceptionDates || []).map(toDateOnly);
+      const recurringDates = excludeExceptionDates(
+        generateRecurringDates(startDateTime, recurrenceEnd, rule),
+        skippedDates
+      );
+
+      if (recurringDates.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'The recurrence pattern does not produce any dates in the selected range'
+        });
+      }
 
-      // Generate all recurring dates
-      const recurringDates = generateRecurringDates(startDateTime, new Date(recurrenceEndDate), dayOfWeek);
+      const occurrenceSlots = recurringDates.map(date => ({
+        startTime: combineDateAndTime(date, baseStartTime),
+        endTime: combineDateAndTime(date, baseEndTime)
+      }));
+
+      // Every occurrence must meet the room policy
+      if (!policyOverridden) {
+        const policyErrors = checkSlotsPolicy(policy, occurrenceSlots);
+        if (policyErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Some occurrences do not meet the room booking policy',
+            errors: policyErrors
+          });
+        }
+      }
+
+      // The series counts once toward the series limit and every occurrence toward weekly hours
+      const quotaErrors = await QuotaService.checkBooking(req.user, occurrenceSlots, { recurring: true });
+      if (quotaErrors.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'Booking quota exceeded',
+          errors: quotaErrors
+        });
+      }
+
+      const resourceErrors = await ResourceService.checkAvailability(resources, occurrenceSlots);
+      if (resourceErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Requested resources are not available for every occurrence',
+          errors: resourceErrors
+        });
+      }
       
       // First, check ALL dates for conflicts before creating any bookings
       // Skip conflict check for admins (they can override bookings)
@@ -177,44 +306,63 @@ exports.createBooking = async (req, res, next) => {
         }
       }
 
-      // Create all recurring bookings (with admin override if needed)
-      const createdBookings = [];
-      for (const date of recurringDates) {
-        const bookingStart = combineDateAndTime(date, baseStartTime);
-        const bookingEnd = combineDateAndTime(date, baseEndTime);
-        
-        // Handle admin override for each recurring date
-        if (req.user.role === 'admin') {
-          const conflictingBookings = await Booking.find({
-            room,
-            status: 'confirmed',
-            $or: [
-              { startTime: { $lte: bookingStart }, endTime: { $gt: bookingStart } },
-              { startTime: { $lt: bookingEnd }, endTime: { $gte: bookingEnd } },
-              { startTime: { $gte: bookingStart }, endTime: { $lte: bookingEnd } },
-              { startTime: { $lte: bookingStart }, endTime: { $gte: bookingEnd } }
-            ]
-          }).populate('bookedBy');
-
-          for (const conflictBooking of conflictingBookings) {
-            conflictBooking.status = 'cancelled';
-            conflictBooking.cancelledBy = req.user._id;
-            conflictBooking.cancelledAt = Date.now();
-            conflictBooking.cancellationReason = 'Admin override - recurring booking created';
-            await conflictBooking.save();
-
-            // Notify affected user
-            await Notification.create({
-              user: conflictBooking.bookedBy._id,
-              type: 'admin_override',
-              title: 'Booking Cancelled by Admin',
-              message: `Your booking "${conflictBooking.title}" has been cancelled due to an admin recurring booking override.`,
-              booking: conflictBooking._id,
-              room: conflictBooking.room
-            });
+      // Admins may book over other bookings, but only after previewing and confirming the override
+      const conflicts = req.user.role === 'admin' ? await OverrideService.findConflicts(room, occurrenceSlots) : [];
+
+      if (dryRun) {
+        return res.status(200).json({
+          success: true,
+          message: 'Dry run: nothing was booked or cancelled',
+          data: {
+            dryRun: true,
+            occurrences: occurrenceSlots.length,
+            status: needsApproval ? 'pending' : 'confirmed',
+            override: await OverrideService.buildPreview(conflicts, roomExists)
           }
-        }
-        
+        });
+      }
+
+      const unconfirmed = await OverrideService.checkConfirmation(conflicts, roomExists, req.body);
+      if (unconfirmed) {
+        return res.status(409).json({
+          success: false,
+          message: unconfirmed.message,
+          requiresConfirmation: true,
+          data: unconfirmed.preview
+        });
+      }
+
+      // Create recurrence group
+      const recurrenceGroup = await RecurrenceGroup.create({
+        createdBy: req.user._id,
+        room,
+        recurrencePattern: rule.frequency,
+        interval: rule.interval,
+        dayOfWeek: rule.daysOfWeek ? rule.daysOfWeek[0] : startDateTime.getDay(),
+        daysOfWeek: rule.daysOfWeek || [],
+        dayOfMonth: rule.dayOfMonth,
+        weekOfMonth: rule.weekOfMonth,
+        occurrenceCount: rule.count,
+        rrule: toRRule(rule),
+        exceptionDates: skippedDates,
+        startDate: startDateTime,
+        endDate: combineDateAndTime(recurringDates[recurringDates.length - 1], '23:59'),
+        baseStartTime,
+        baseEndTime,
+        title,
+        description
+      });
+
+      // The whole series is decided at once, before its first occurrence
+      const approvalDeadline = needsApproval ? ApprovalService.deadlineFor(occurrenceSlots[0].startTime) : undefined;
+
+      // Confirmed override: move everything in the way to other rooms (or cancel it) before booking
+      const displaced = await OverrideService.displaceConflicts(conflicts, roomExists, req.user, overrideReason);
+      const freedSlots = conflicts.map(b => ({ room: roomExists._id, startTime: b.startTime, endTime: b.endTime }));
+
+      // Create all recurring bookings
+      const createdBookings = [];
+      for (const { startTime: bookingStart, endTime: bookingEnd } of occurrenceSlots) {
         const booking = await Booking.create({
           room,
           bookedBy: req.user._id,
@@ -223,10 +371,47 @@ exports.createBooking = async (req, res, next) => {
           startTime: bookingStart,
           endTime: bookingEnd,
           attendees: attendees,
-          recurrenceGroup: recurrenceGroup._id
+          externalGuests,
+          resources,
+          releaseIfAllDecline: releaseIfAllDecline === true,
+          recurrenceGroup: recurrenceGroup._id,
+          policyOverridden,
+          status: needsApproval ? 'pending' : 'confirmed',
+          approvalDeadline,
+          overrideReason: conflicts.length > 0 ? overrideReason : undefined
         });
         createdBookings.push(booking);
       }
+      await HistoryService.recordMany(createdBookings, 'created', req.user, {
+        reason: conflicts.length > 0 ? `Admin override: ${overrideReason}` : undefined
+      });
+
+      // Overridden bookings may only partly overlap; offer what is left to the waitlist
+      WaitlistService.processFreedBookings(freedSlots);
+
+      if (needsApproval) {
+        await Notification.create({
+          user: req.user._id,
+          type: 'booking_created',
+          title: 'Recurring Booking Requested',
+          message: `Your recurring booking for ${title} (${createdBookings.length} occurrences) is waiting for approval.`,
+          booking: createdBookings[0]._id,
+          room
+        });
+
+        await NotificationService.notifyApproversOfRequest(createdBookings[0], roomExists, req.user, createdBookings.length);
+
+        return res.status(201).json({
+          success: true,
+          message: 'Recurring booking submitted for approval',
+          data: {
+            recurrenceGroup,
+            createdBookings: createdBookings.length,
+            status: 'pending',
+            approvalDeadline
+          }
+        });
+      }
 
       // Send notification to user
       await Notification.create({
@@ -254,55 +439,52 @@ exports.createBooking = async (req, res, next) => {
         }
       }
 
+      // Guests get one invitation for the whole series
+      await NotificationService.emailExternalGuests(createdBookings, req.user, 'invitation');
+
       return res.status(201).json({
         success: true,
         message: 'Recurring booking created successfully',
         data: {
           recurrenceGroup,
           createdBookings: createdBookings.length,
-          failedDates: failedDates.length
+          failedDates: 0,
+          override: OverrideService.summarize(displaced)
         }
       });
     }
 
-    // Check if admin is overriding existing bookings
-    let isAdminOverride = false;
-    if (req.user.role === 'admin') {
-      const hasOverlap = await checkOverlapWithRecurring(room, startDateTime, endDateTime);
-      if (hasOverlap) {
-        isAdminOverride = true;
-        // Cancel conflicting bookings
-        const conflictingBookings = await Booking.find({
-          room,
-          status: 'confirmed',
-          $or: [
-            { startTime: { $lte: startDateTime }, endTime: { $gt: startDateTime } },
-            { startTime: { $lt: endDateTime }, endTime: { $gte: endDateTime } },
-            { startTime: { $gte: startDateTime }, endTime: { $lte: endDateTime } },
-            { startTime: { $lte: startDateTime }, endTime: { $gte: endDateTime } }
-          ]
-        }).populate('bookedBy');
-
-        for (const conflictBooking of conflictingBookings) {
-          conflictBooking.status = 'cancelled';
-          conflictBooking.cancelledBy = req.user._id;
-          conflictBooking.cancelledAt = Date.now();
-          conflictBooking.cancellationReason = 'Admin override - conflicting booking created';
-          await conflictBooking.save();
-
-          // Notify affected user
-          await Notification.create({
-            user: conflictBooking.bookedBy._id,
-            type: 'admin_override',
-            title: 'Booking Cancelled by Admin',
-            message: `Your booking "${conflictBooking.title}" has been cancelled due to an admin override.`,
-            booking: conflictBooking._id,
-            room: conflictBooking.room
-          });
+    // Admins may book over other bookings, but only after previewing and confirming the override
+    const slot = { startTime: startDateTime, endTime: endDateTime };
+    const conflicts = req.user.role === 'admin' ? await OverrideService.findConflicts(room, [slot]) : [];
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: 'Dry run: nothing was booked or cancelled',
+        data: {
+          dryRun: true,
+          occurrences: 1,
+          status: needsApproval ? 'pending' : 'confirmed',
+          override: await OverrideService.buildPreview(conflicts, roomExists)
         }
-      }
+      });
     }
 
+    const unconfirmed = await OverrideService.checkConfirmation(conflicts, roomExists, req.body);
+    if (unconfirmed) {
+      return res.status(409).json({
+        success: false,
+        message: unconfirmed.message,
+        requiresConfirmation: true,
+        data: unconfirmed.preview
+      });
+    }
+
+    const displaced = await OverrideService.displaceConflicts(conflicts, roomExists, req.user, overrideReason);
+    const freedSlots = conflicts.map(b => ({ room: roomExists._id, startTime: b.startTime, endTime: b.endTime }));
+    const isAdminOverride = conflicts.length > 0;
+
     // Create single booking
     const booking = await Booking.create({
       room,
@@ -311,11 +493,43 @@ exports.createBooking = async (req, res, next) => {
       description,
       startTime: new Date(startTime),
       endTime: new Date(endTime),
-      attendees: attendees
+      attendees: attendees,
+      externalGuests,
+      resources,
+      releaseIfAllDecline: releaseIfAllDecline === true,
+      policyOverridden,
+      status: needsApproval ? 'pending' : 'confirmed',
+      approvalDeadline: needsApproval ? ApprovalService.deadlineFor(startDateTime) : undefined,
+      overrideReason: isAdminOverride ? overrideReason : undefined
+    });
+    await HistoryService.record(booking, 'created', req.user, {
+      reason: isAdminOverride ? `Admin override: ${overrideReason}` : undefined
     });
 
     await booking.populate('room bookedBy attendees');
 
+    // Overridden bookings may only partly overlap; offer what is left to the waitlist
+    WaitlistService.processFreedBookings(freedSlots);
+
+    if (needsApproval) {
+      await Notification.create({
+        user: req.user._id,
+        type: 'booking_created',
+        title: 'Booking Requested',
+        message: `Your booking for ${booking.title} in ${roomExists.name} is waiting for approval.`,
+        booking: booking._id,
+        room: booking.room._id
+      });
+
+      await NotificationService.notifyApproversOfRequest(booking, roomExists, req.user);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Booking submitted for approval',
+        data: booking
+      });
+    }
+
     // Create notification for the user
     await Notification.create({
       user: req.user._id,
@@ -342,6 +556,7 @@ exports.createBooking = async (req, res, next) => {
     if (attendees && attendees.length > 0) {
       await NotificationService.notifyAttendeesOfMeeting(booking, req.user);
     }
+    await NotificationService.emailExternalGuests([booking], req.user, 'invitation');
 
     // Send email notification (async, don't wait)
     if (process.env.EMAIL_USER) {
@@ -355,7 +570,8 @@ exports.createBooking = async (req, res, next) => {
     res.status(201).json({
       success: true,
       message: 'Booking created successfully',
-      data: booking
+      data: booking,
+      ...(isAdminOverride && { override: OverrideService.summarize(displaced) })
     });
   } catch (error) {
     next(error);
@@ -384,35 +600,185 @@ exports.updateBooking = async (req, res, next) => {
       });
     }
 
-    const { startTime, endTime, room } = req.body;
+    const { startTime, endTime, room, overridePolicy } = req.body;
+
+    // The rooms of a multi-room event keep the same time and are moved together
+    if (booking.linkedEvent && (startTime || endTime || room)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking is part of a multi-room event. Reschedule the event instead.',
+        linkedEvent: booking.linkedEvent
+      });
+    }
+
+    const previousSlot = { room: booking.room, startTime: booking.startTime, endTime: booking.endTime };
+    const before = HistoryService.snapshot(booking);
+
+    const updates = pickBookingUpdates(req.body);
+    let approvalRoom = null;
+
+    // Guest list changes are diffed below so only the affected guests are emailed
+    const previousGuests = booking.externalGuests.map(guest => ({ name: guest.name, email: guest.email }));
+    const inviteesChanged = updates.attendees !== undefined || updates.externalGuests !== undefined;
+    if (inviteesChanged) {
+      // Both lists are sent together so the attendee validator sees the final guest list
+      updates.attendees = updates.attendees !== undefined ? updates.attendees : booking.attendees;
+      updates.externalGuests = updates.externalGuests !== undefined
+        ? normalizeGuests(updates.externalGuests)
+        : previousGuests;
+
+      if (updates.attendees.length + updates.externalGuests.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one attendee or external guest is required for the booking'
+        });
+      }
+    }
+
+    // Guests count toward capacity like attendees
+    if (inviteesChanged || room) {
+      const capacityRoom = await Room.findById(room || booking.room);
+      const headcount = (updates.attendees || booking.attendees).length + (updates.externalGuests || previousGuests).length;
+      if (capacityRoom && headcount > capacityRoom.capacity) {
+        return res.status(400).json({
+          success: false,
+          message: `Too many attendees. Room capacity is ${capacityRoom.capacity} people, but ${headcount} attendees and guests were selected.`
+        });
+      }
+    }
+
+    // Requested equipment (new, or kept across a time change) must still have enough free units
+    if (updates.resources !== undefined) {
+      updates.resources = ResourceService.normalizeRequests(updates.resources);
+    }
+    if (updates.resources !== undefined || ((startTime || endTime) && booking.resources.length > 0)) {
+      const resourceErrors = await ResourceService.checkAvailability(
+        updates.resources !== undefined ? updates.resources : booking.resources,
+        [{
+          startTime: startTime ? new Date(startTime) : booking.startTime,
+          endTime: endTime ? new Date(endTime) : booking.endTime
+        }],
+        { excludeBookingId: booking._id }
+      );
+      if (resourceErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Requested resources are not available',
+          errors: resourceErrors
+        });
+      }
+    }
 
-    // If time or room is being changed, check for overlaps
+    // If time or room is being changed, check the room policy and overlaps
     if (startTime || endTime || room) {
       const newStartTime = startTime ? new Date(startTime) : booking.startTime;
       const newEndTime = endTime ? new Date(endTime) : booking.endTime;
       const newRoom = room || booking.room;
 
-      const hasOverlap = await checkOverlap(newRoom, newStartTime, newEndTime, booking._id);
+      const targetRoom = await Room.findById(newRoom);
+      if (!targetRoom) {
+        return res.status(404).json({
+          success: false,
+          message: 'Room not found'
+        });
+      }
+
+      if (req.user.role === 'admin' && overridePolicy === true) {
+        updates.policyOverridden = true;
+      } else {
+        // Notice and advance limits only matter when the start moves
+        const policyErrors = checkBookingPolicy(resolvePolicy(targetRoom), newStartTime, newEndTime, {
+          skipStartChecks: newStartTime.getTime() === booking.startTime.getTime()
+        });
+        if (policyErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Booking does not meet the room booking policy',
+            errors: policyErrors
+          });
+        }
+      }
+
+      // A longer booking or one moved to another week must still fit the weekly hours
+      const quotaErrors = await QuotaService.checkBooking(req.user, [{ startTime: newStartTime, endTime: newEndTime }], {
+        excludeBookingId: booking._id
+      });
+      if (quotaErrors.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'Booking quota exceeded',
+          errors: quotaErrors
+        });
+      }
+
+      // The booking's own series pattern is not in its way, but every other series is
+      const hasOverlap = await checkOverlapWithRecurring(newRoom, newStartTime, newEndTime, booking._id, booking.recurrenceGroup);
       if (hasOverlap) {
         return res.status(400).json({
           success: false,
           message: 'Room is already booked for this time slot'
         });
       }
+
+      // Attendees answered for the old time; a new time needs new answers
+      if (newStartTime.getTime() !== booking.startTime.getTime() || newEndTime.getTime() !== booking.endTime.getTime()) {
+        updates.responses = [];
+      }
+
+      // Moving into (or within) a restricted room needs a fresh approval
+      if (ApprovalService.needsApproval(targetRoom, req.user) && ['confirmed', 'pending'].includes(booking.status)) {
+        updates.status = 'pending';
+        updates.approvalDeadline = ApprovalService.deadlineFor(newStartTime);
+        approvalRoom = targetRoom;
+      }
     }
 
     booking = await Booking.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
       }
     ).populate('room bookedBy attendees');
 
+    await HistoryService.record(booking, 'updated', req.user, {
+      before,
+      reason: approvalRoom ? 'Moved into a room that requires approval' : undefined
+    });
+
+    if (startTime || endTime || room) {
+      // A moved occurrence frees its original slot in the series pattern
+      if (booking.recurrenceGroup) {
+        await addRecurrenceException(booking.recurrenceGroup, previousSlot.startTime);
+      }
+
+      // Offer the vacated slot to the waitlist (async, don't wait)
+      WaitlistService.processFreedBookings([previousSlot]);
+    }
+
+    if (approvalRoom) {
+      await NotificationService.notifyApproversOfRequest(booking, approvalRoom, req.user);
+    }
+
+    // New guests are invited, removed ones told, and the rest hear about a new time or room
+    const previousEmails = new Set(previousGuests.map(guest => guest.email));
+    const currentEmails = new Set(booking.externalGuests.map(guest => guest.email));
+    // Requests awaiting approval invite their guests once approved
+    if (booking.status !== 'pending') {
+      await NotificationService.emailExternalGuests([booking], booking.bookedBy, 'invitation',
+        booking.externalGuests.filter(guest => !previousEmails.has(guest.email)));
+    }
+    await NotificationService.emailExternalGuests([booking], booking.bookedBy, 'removed',
+      previousGuests.filter(guest => !currentEmails.has(guest.email)));
+    if (startTime || endTime || room) {
+      await NotificationService.emailExternalGuests([booking], booking.bookedBy, startTime || endTime ? 'rescheduled' : 'moved',
+        booking.externalGuests.filter(guest => previousEmails.has(guest.email)));
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Booking updated successfully',
+      message: approvalRoom ? 'Booking updated and submitted for approval' : 'Booking updated successfully',
       data: booking
     });
   } catch (error) {
@@ -442,12 +808,33 @@ exports.cancelBooking = async (req, res, next) => {
       });
     }
 
+    if (booking.linkedEvent) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking is part of a multi-room event. Cancel the event instead.',
+        linkedEvent: booking.linkedEvent
+      });
+    }
+
+    const before = HistoryService.snapshot(booking);
     booking.status = 'cancelled';
     booking.cancelledBy = req.user._id;
     booking.cancelledAt = Date.now();
     booking.cancellationReason = req.body.cancellationReason || req.body.reason || '';
     
     await booking.save({ validateBeforeSave: false });
+    await HistoryService.record(booking, 'cancelled', req.user, {
+      before,
+      reason: booking.cancellationReason || undefined
+    });
+
+    // A cancelled occurrence becomes an exception date of its series
+    if (booking.recurrenceGroup) {
+      await addRecurrenceException(booking.recurrenceGroup, booking.startTime);
+    }
+
+    // Offer the freed slot to the waitlist (async, don't wait)
+    WaitlistService.processFreedBookings([booking]);
 
     // Create notification for booking owner (with safety checks)
     if (booking.bookedBy && booking.room) {
@@ -471,8 +858,8 @@ exports.cancelBooking = async (req, res, next) => {
       }, req.user);
     }
     
-    // Notify attendees about meeting cancellation
-    if (booking.attendees && booking.attendees.length > 0) {
+    // Notify attendees and guests about meeting cancellation
+    if (booking.attendees.length > 0 || booking.externalGuests.length > 0) {
       await NotificationService.notifyAttendeesOfMeetingUpdate(booking, req.user, 'cancelled');
     }
 
@@ -498,6 +885,22 @@ exports.cancelBooking = async (req, res, next) => {
   }
 };
 
+// @desc    Get my remaining booking quota
+// @route   GET /api/bookings/my-quota
+// @access  Private
+exports.getMyQuota = async (req, res, next) => {
+  try {
+    const quota = await QuotaService.getRemaining(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: quota
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get my bookings
 // @route   GET /api/bookings/my-bookings
 // @access  Private
@@ -511,7 +914,7 @@ exports.getMyBookings = async (req, res, next) => {
 
     if (upcoming === 'true') {
       query.startTime = { $gte: new Date() };
-      query.status = 'confirmed';
+      query.status = { $in: BLOCKING_STATUSES };
     }
 
     const bookings = await Booking.find(query)
@@ -521,10 +924,27 @@ exports.getMyBookings = async (req, res, next) => {
       .populate('recurrenceGroup')
       .sort('-createdAt');
 
+    // Skipped dates of the user's series, listed once per series
+    const recurrenceExceptions = [];
+    const seenGroups = new Set();
+    for (const booking of bookings) {
+      const group = booking.recurrenceGroup;
+      if (!group || seenGroups.has(group._id.toString())) continue;
+      seenGroups.add(group._id.toString());
+      if (group.exceptionDates && group.exceptionDates.length > 0) {
+        recurrenceExceptions.push({
+          recurrenceGroup: group._id,
+          title: group.title,
+          exceptionDates: [...group.exceptionDates].sort((a, b) => a - b)
+        });
+      }
+    }
+
     res.status(200).json({
       success: true,
       count: bookings.length,
-      data: bookings
+      data: bookings,
+      recurrenceExceptions
     });
   } catch (error) {
     next(error);
@@ -543,18 +963,19 @@ exports.deleteBooking = async (req, res, next) => {
       });
     }
 
-    // Only allow deletion of past/completed bookings or cancelled bookings
-    const now = new Date();
-    const isPastBooking = new Date(booking.endTime) < now;
+    // Only allow deletion of completed or cancelled bookings
+    const isCompleted = booking.status === 'completed';
     const isCancelled = booking.status === 'cancelled';
     
-    if (!isPastBooking && !isCancelled) {
+    if (!isCompleted && !isCancelled) {
       return res.status(400).json({
         success: false,
         message: 'Cannot delete active upcoming bookings. Please cancel them first.'
       });
     }
 
+    // The history outlives the booking, ending with its deletion
+    await HistoryService.record(booking, 'deleted', req.user);
     await booking.deleteOne();
 
     res.status(200).json({
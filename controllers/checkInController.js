@@ -0,0 +1,89 @@
+const Booking = require('../models/Booking'); // Booking model
+const CheckInService = require('../services/checkInService');
+
+// @desc    Check in to a booking (organizer, attendee or admin)
+// @route   POST /api/bookings/:id/check-in
+// @access  Private
+exports.checkInBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const userId = req.user._id.toString();
+    let method;
+    if (booking.bookedBy.toString() === userId) {
+      method = 'organizer';
+    } else if (booking.attendees.some(a => a.toString() === userId)) {
+      method = 'attendee';
+    } else if (req.user.role === 'admin') {
+      method = 'admin';
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the organizer or an attendee can check in to this booking'
+      });
+    }
+
+    const error = CheckInService.checkInError(booking);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await CheckInService.checkIn(booking, req.user, method);
+
+    res.status(200).json({
+      success: true,
+      message: 'Checked in successfully',
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Check in from the room kiosk (current or next booking, or a given bookingId)
+// @route   POST /api/rooms/:id/kiosk/check-in
+// @access  Kiosk token
+exports.kioskCheckIn = async (req, res, next) => {
+  try {
+    const { bookingId } = req.body;
+
+    const booking = bookingId
+      ? await Booking.findOne({ _id: bookingId, room: req.kioskRoom._id })
+      : await CheckInService.findKioskBooking(req.kioskRoom._id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'No booking to check in to in this room right now'
+      });
+    }
+
+    const error = CheckInService.checkInError(booking);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await CheckInService.checkIn(booking, null, 'kiosk');
+
+    res.status(200).json({
+      success: true,
+      message: 'Checked in successfully',
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
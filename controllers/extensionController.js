@@ -0,0 +1,188 @@
+const Booking = require('../models/Booking'); // Booking model
+const HistoryService = require('../services/historyService');
+const WaitlistService = require('../services/waitlistService');
+const ResourceService = require('../services/resourceService');
+const QuotaService = require('../services/quotaService');
+const { getFreeUntil, addRecurrenceException } = require('../utils/bookingHelper');
+const { resolvePolicy, checkBookingPolicy } = require('../utils/bookingPolicy');
+const { emitBookingUpdate } = require('../utils/realtime');
+
+// Bookings whose end can still be moved
+const ADJUSTABLE_STATUSES = ['confirmed', 'in_progress'];
+
+// Load the booking and check the caller organizes it (or is an admin) and it has not ended
+const loadAdjustable = async (req, res) => {
+  const booking = await Booking.findById(req.params.id).populate('room');
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && booking.bookedBy.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to change this booking'
+    });
+    return null;
+  }
+
+  if (!ADJUSTABLE_STATUSES.includes(booking.status) || booking.endTime <= new Date()) {
+    res.status(400).json({
+      success: false,
+      message: 'Only upcoming or running bookings can be extended or ended'
+    });
+    return null;
+  }
+
+  return booking;
+};
+
+const minutesBetween = (from, to) => Math.floor((to - from) / 60000);
+
+// @desc    Extend a booking by a number of minutes
+// @route   PATCH /api/bookings/:id/extend
+// @access  Private (organizer or admin)
+exports.extendBooking = async (req, res, next) => {
+  try {
+    const booking = await loadAdjustable(req, res);
+    if (!booking) return;
+
+    // Every room of a multi-room event keeps the same time
+    if (booking.linkedEvent) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking is part of a multi-room event and cannot be extended on its own'
+      });
+    }
+
+    const { minutes, acceptPartial, overridePolicy } = req.body;
+    const requestedEnd = new Date(booking.endTime.getTime() + minutes * 60 * 1000);
+
+    // The booking's own series pattern is not in the way of its own occurrence
+    const freeUntil = await getFreeUntil(booking.room, booking.endTime, requestedEnd, {
+      excludeBookingId: booking._id,
+      excludeRecurrenceGroupId: booking.recurrenceGroup
+    });
+    const availableMinutes = minutesBetween(booking.endTime, freeUntil);
+
+    if (availableMinutes < minutes && (!acceptPartial || availableMinutes < 1)) {
+      return res.status(409).json({
+        success: false,
+        message: availableMinutes < 1
+          ? 'The room is needed straight after this booking and cannot be extended'
+          : `Only ${availableMinutes} of the ${minutes} minutes are free. Extend by ${availableMinutes} minutes or resend with acceptPartial: true.`,
+        data: {
+          requestedMinutes: minutes,
+          availableMinutes,
+          availableUntil: freeUntil
+        }
+      });
+    }
+
+    const extendBy = Math.min(minutes, availableMinutes);
+    const newEnd = new Date(booking.endTime.getTime() + extendBy * 60 * 1000);
+
+    // Running longer must still fit the room's hours and maximum duration
+    if (!(req.user.role === 'admin' && overridePolicy === true)) {
+      const policyErrors = checkBookingPolicy(resolvePolicy(booking.room), booking.startTime, newEnd, { skipStartChecks: true });
+      if (policyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Booking does not meet the room booking policy',
+          errors: policyErrors
+        });
+      }
+    }
+
+    // The extra time counts toward the weekly hours like any other booked time
+    const quotaErrors = await QuotaService.checkBooking(req.user, [{
+      startTime: booking.startTime,
+      endTime: newEnd
+    }], { excludeBookingId: booking._id });
+    if (quotaErrors.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Booking quota exceeded',
+        errors: quotaErrors
+      });
+    }
+
+    // Equipment the booking holds must be free for the extra time as well
+    const resourceErrors = await ResourceService.checkAvailability(booking.resources, [{
+      startTime: booking.startTime,
+      endTime: newEnd
+    }], { excludeBookingId: booking._id });
+    if (resourceErrors.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Resources held by this booking are needed elsewhere and cannot be kept for longer',
+        errors: resourceErrors
+      });
+    }
+
+    const before = HistoryService.snapshot(booking);
+    booking.endTime = newEnd;
+    await booking.save();
+    await HistoryService.record(booking, 'updated', req.user, { before, reason: `Extended by ${extendBy} minutes` });
+
+    emitBookingUpdate(req.app.get('io'), booking, 'extended');
+
+    res.status(200).json({
+      success: true,
+      message: extendBy < minutes
+        ? `Booking extended by ${extendBy} of the ${minutes} minutes requested`
+        : `Booking extended by ${extendBy} minutes`,
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    End a running booking now and free the room
+// @route   PATCH /api/bookings/:id/end
+// @access  Private (organizer or admin)
+exports.endBooking = async (req, res, next) => {
+  try {
+    const booking = await loadAdjustable(req, res);
+    if (!booking) return;
+
+    const now = new Date();
+    if (booking.startTime >= now) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has not started yet. Cancel it instead.'
+      });
+    }
+
+    const before = HistoryService.snapshot(booking);
+    const freedSlot = { room: booking.room._id, startTime: now, endTime: booking.endTime };
+
+    booking.endTime = now;
+    booking.status = 'completed';
+    await booking.save();
+    await HistoryService.record(booking, 'updated', req.user, { before, reason: 'Ended early' });
+
+    // Otherwise the series pattern would keep blocking the rest of the slot
+    if (booking.recurrenceGroup) {
+      await addRecurrenceException(booking.recurrenceGroup, booking.startTime);
+    }
+
+    emitBookingUpdate(req.app.get('io'), booking, 'ended');
+
+    // The rest of the slot is free again (async, don't wait)
+    WaitlistService.processFreedBookings([freedSlot]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking ended and the room released',
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,93 @@
+const Booking = require('../models/Booking'); // Booking model
+const Notification = require('../models/Notification');
+const NotificationService = require('../services/notificationService');
+const HistoryService = require('../services/historyService');
+
+// @desc    Get the change history of a booking
+// @route   GET /api/bookings/:id/history
+// @access  Private (organizer, attendees and admins; only admins for deleted bookings)
+exports.getBookingHistory = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id).select('bookedBy attendees');
+
+    const isAdmin = req.user.role === 'admin';
+    const involved = booking && (
+      booking.bookedBy.toString() === req.user._id.toString() ||
+      booking.attendees.some(a => a.toString() === req.user._id.toString())
+    );
+
+    if (!booking && !isAdmin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking && !isAdmin && !involved) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this booking'
+      });
+    }
+
+    const history = await HistoryService.getHistory(req.params.id);
+
+    if (history.length === 0 && !booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revert a booking to an earlier version
+// @route   POST /api/bookings/:id/revert
+// @access  Private/Admin
+exports.revertBooking = async (req, res, next) => {
+  try {
+    const { version, reason } = req.body;
+    let booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    booking = await HistoryService.revert(booking, version, req.user, reason);
+    await booking.populate('room bookedBy attendees');
+
+    await Notification.create({
+      user: booking.bookedBy._id,
+      type: 'booking_updated',
+      title: 'Booking Reverted',
+      message: `An admin restored your booking "${booking.title}" to an earlier version (${new Date(booking.startTime).toLocaleString()} in ${booking.room.name}).${reason ? ` Reason: ${reason}` : ''}`,
+      booking: booking._id,
+      room: booking.room._id
+    });
+
+    await NotificationService.notifyAttendeesOfMeetingUpdate(
+      booking,
+      booking.bookedBy,
+      booking.status === 'cancelled' ? 'cancelled' : 'rescheduled'
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Booking reverted to version ${version}`,
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,200 @@
+const Booking = require('../models/Booking'); // Booking model
+const Room = require('../models/Room');
+const Notification = require('../models/Notification');
+const NotificationService = require('../services/notificationService');
+const HoldService = require('../services/holdService');
+const QuotaService = require('../services/quotaService');
+const ApprovalService = require('../services/approvalService');
+const HistoryService = require('../services/historyService');
+const { checkOverlapWithRecurring, normalizeGuests } = require('../utils/bookingHelper');
+const { resolvePolicy, checkBookingPolicy } = require('../utils/bookingPolicy');
+
+// @desc    Hold a room slot for a short time before confirming it
+// @route   POST /api/bookings/hold
+// @access  Private
+exports.createHold = async (req, res, next) => {
+  try {
+    const { room, title, description, startTime, endTime } = req.body;
+    const holdMinutes = req.body.holdMinutes ? parseInt(req.body.holdMinutes, 10) : HoldService.DEFAULT_HOLD_MINUTES;
+
+    if (!Number.isInteger(holdMinutes) || holdMinutes < 1 || holdMinutes > HoldService.MAX_HOLD_MINUTES) {
+      return res.status(400).json({
+        success: false,
+        message: `Holds can last between 1 and ${HoldService.MAX_HOLD_MINUTES} minutes`
+      });
+    }
+
+    const roomExists = await Room.findById(room);
+    if (!roomExists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    const startDateTime = new Date(startTime);
+    const endDateTime = new Date(endTime);
+
+    // A hold must be confirmable, so it has to meet the room policy too
+    const policyErrors = checkBookingPolicy(resolvePolicy(roomExists), startDateTime, endDateTime);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking does not meet the room booking policy',
+        errors: policyErrors
+      });
+    }
+
+    // Held time counts toward the quota, so check it before holding
+    const quotaErrors = await QuotaService.checkBooking(req.user, [{ startTime: startDateTime, endTime: endDateTime }]);
+    if (quotaErrors.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Booking quota exceeded',
+        errors: quotaErrors
+      });
+    }
+
+    // Holds never override other bookings, not even for admins
+    const hasOverlap = await checkOverlapWithRecurring(room, startDateTime, endDateTime);
+    if (hasOverlap) {
+      return res.status(400).json({
+        success: false,
+        message: 'Room is already booked for this time slot. Please choose a different time.',
+        canJoinWaitlist: true
+      });
+    }
+
+    // The holder stands in as the only attendee until the hold is confirmed
+    const booking = await Booking.create({
+      room,
+      bookedBy: req.user._id,
+      title,
+      description,
+      startTime: startDateTime,
+      endTime: endDateTime,
+      attendees: [req.user._id],
+      status: 'held',
+      holdExpiresAt: new Date(Date.now() + holdMinutes * 60 * 1000)
+    });
+    await HistoryService.record(booking, 'created', req.user);
+
+    await booking.populate('room bookedBy');
+
+    res.status(201).json({
+      success: true,
+      message: `Room held until ${booking.holdExpiresAt.toLocaleTimeString()}`,
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm a held booking with its attendees and external guests
+// @route   PATCH /api/bookings/:id/confirm
+// @access  Private
+exports.confirmHold = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('room');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.bookedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to confirm this booking'
+      });
+    }
+
+    if (booking.status !== 'held' || booking.holdExpiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This hold has expired or was already confirmed'
+      });
+    }
+
+    const { title, description } = req.body;
+    const attendees = Array.isArray(req.body.attendees) ? req.body.attendees : [];
+    const externalGuests = normalizeGuests(req.body.externalGuests);
+
+    const headcount = attendees.length + externalGuests.length;
+    if (headcount > booking.room.capacity) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many attendees. Room capacity is ${booking.room.capacity} people, but ${headcount} attendees and guests were selected.`
+      });
+    }
+
+    // Holds on restricted rooms turn into approval requests
+    const needsApproval = ApprovalService.needsApproval(booking.room, req.user);
+    const before = HistoryService.snapshot(booking);
+
+    booking.attendees = attendees;
+    booking.externalGuests = externalGuests;
+    if (title !== undefined) booking.title = title;
+    if (description !== undefined) booking.description = description;
+    booking.status = needsApproval ? 'pending' : 'confirmed';
+    booking.holdExpiresAt = undefined;
+    if (needsApproval) {
+      booking.approvalDeadline = ApprovalService.deadlineFor(booking.startTime);
+    }
+    await booking.save();
+    await HistoryService.record(booking, 'updated', req.user, { before, reason: 'Hold confirmed' });
+
+    await booking.populate('bookedBy attendees');
+
+    if (needsApproval) {
+      await Notification.create({
+        user: req.user._id,
+        type: 'booking_created',
+        title: 'Booking Requested',
+        message: `Your booking for ${booking.title} in ${booking.room.name} is waiting for approval.`,
+        booking: booking._id,
+        room: booking.room._id
+      });
+
+      await NotificationService.notifyApproversOfRequest(booking, booking.room, req.user);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Booking submitted for approval',
+        data: booking
+      });
+    }
+
+    await Notification.create({
+      user: req.user._id,
+      type: 'booking_created',
+      title: 'Booking Created',
+      message: `Your booking for ${booking.title} has been confirmed.`,
+      booking: booking._id,
+      room: booking.room._id
+    });
+
+    if (req.user.role !== 'admin') {
+      await NotificationService.notifyAdminsOfUserAction('booking_created', {
+        title: booking.title,
+        roomName: booking.room.name,
+        bookingId: booking._id,
+        roomId: booking.room._id
+      }, req.user);
+    }
+
+    await NotificationService.notifyAttendeesOfMeeting(booking, req.user);
+    await NotificationService.emailExternalGuests([booking], req.user, 'invitation');
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking confirmed successfully',
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
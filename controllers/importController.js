@@ -0,0 +1,101 @@
+const Booking = require('../models/Booking'); // Booking model
+const Notification = require('../models/Notification');
+const NotificationService = require('../services/notificationService');
+const ImportService = require('../services/importService');
+const HistoryService = require('../services/historyService');
+const { withRoomLock } = require('../utils/lock');
+const { emitBookingUpdate } = require('../utils/realtime');
+
+// @desc    Import bookings from CSV or JSON rows, all or nothing
+// @route   POST /api/bookings/import
+// @access  Private
+exports.importBookings = async (req, res, next) => {
+  try {
+    const { csv, dryRun } = req.body;
+    const rows = csv !== undefined ? ImportService.parseCsv(csv) : req.body.rows;
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The import has no rows'
+      });
+    }
+    if (rows.length > ImportService.MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${ImportService.MAX_IMPORT_ROWS} rows can be imported at once`
+      });
+    }
+
+    const report = (validation, extra = {}) => ({
+      dryRun: dryRun === true,
+      total: validation.entries.length,
+      valid: validation.entries.filter(entry => entry.errors.length === 0).length,
+      invalid: validation.entries.filter(entry => entry.errors.length > 0).length,
+      ...extra,
+      errors: validation.errors,
+      rows: validation.entries.map(entry => ImportService.describe(entry))
+    });
+
+    const validation = await ImportService.validate(rows, req.user);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing was imported. Fix the rows marked invalid and try again.',
+        data: report(validation)
+      });
+    }
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `Dry run: all ${rows.length} rows can be booked; nothing was saved`,
+        data: report(validation)
+      });
+    }
+
+    // The leases are renewed for as long as a large import takes
+    const roomIds = validation.entries.map(entry => entry.room._id);
+    const bookings = await withRoomLock(roomIds, () => ImportService.commit(validation.entries));
+
+    if (!bookings) {
+      return res.status(409).json({
+        success: false,
+        message: 'Nothing was imported. Some slots were booked while the import was being checked.',
+        data: report(validation)
+      });
+    }
+
+    await HistoryService.recordMany(bookings, 'created', req.user, { reason: 'Bulk import' });
+    await Booking.populate(bookings, { path: 'room' });
+
+    const pending = bookings.filter(booking => booking.status === 'pending');
+    await Notification.create({
+      user: req.user._id,
+      type: 'booking_created',
+      title: 'Bookings Imported',
+      message: pending.length > 0
+        ? `${bookings.length} bookings were imported; ${pending.length} are waiting for approval.`
+        : `${bookings.length} bookings were imported and confirmed.`
+    });
+
+    const io = req.app.get('io');
+    for (const booking of bookings) {
+      if (booking.status === 'pending') {
+        await NotificationService.notifyApproversOfRequest(booking, booking.room, req.user);
+      } else {
+        await NotificationService.notifyAttendeesOfMeeting(booking, req.user);
+      }
+      emitBookingUpdate(io, booking, 'created');
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${bookings.length} bookings`,
+      data: report(validation, { imported: bookings.length })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,163 @@
+const Booking = require('../models/Booking'); // Booking model
+const Room = require('../models/Room');
+const Notification = require('../models/Notification');
+const ApprovalService = require('../services/approvalService');
+const QuotaService = require('../services/quotaService');
+const HistoryService = require('../services/historyService');
+const SchedulingService = require('../services/schedulingService');
+const { getFreeUntil, checkOverlapWithRecurring } = require('../utils/bookingHelper');
+const { DEFAULT_POLICY, resolvePolicy, checkBookingPolicy, closingTime } = require('../utils/bookingPolicy');
+const { withRoomLock } = require('../utils/lock');
+const { emitBookingUpdate } = require('../utils/realtime');
+
+const MINUTE = 60 * 1000;
+
+// @desc    Book the best room that is free right now
+// @route   POST /api/bookings/instant
+// @access  Private
+exports.bookNow = async (req, res, next) => {
+  try {
+    const { duration, location, floor, title, description } = req.body;
+    const attendeeCount = req.body.attendees || 1;
+
+    // Starts at the next whole minute so it is never in the past by the time it is saved
+    const startTime = new Date(Math.ceil(Date.now() / MINUTE) * MINUTE);
+    const isAdmin = req.user.role === 'admin';
+
+    // Floor is a preference (nearest first), location narrows the search
+    const rooms = await Room.find(SchedulingService.roomQuery({ attendees: attendeeCount, location }));
+    const floorDistance = (room) => (
+      floor !== undefined && room.floor != null ? Math.abs(room.floor - floor) : 0
+    );
+
+    // Instant bookings are confirmed on the spot, so rooms needing approval are left out
+    const candidates = [];
+    for (const room of rooms) {
+      if (ApprovalService.needsApproval(room, req.user)) continue;
+
+      const policy = resolvePolicy(room);
+      const maxMinutes = policy.maxDurationMinutes || DEFAULT_POLICY.maxDurationMinutes;
+      const horizon = Math.max(duration || 0, maxMinutes);
+      const freeUntil = await getFreeUntil(room, startTime, new Date(startTime.getTime() + horizon * MINUTE));
+      const freeMinutes = Math.floor((freeUntil - startTime) / MINUTE);
+
+      // Without a duration the booking runs until the room is next needed,
+      // but no longer than the policy allows or past closing time
+      let endTime;
+      if (duration) {
+        if (freeMinutes < duration) continue;
+        endTime = new Date(startTime.getTime() + duration * MINUTE);
+      } else {
+        const closing = closingTime(policy, startTime);
+        endTime = new Date(Math.min(
+          freeUntil.getTime(),
+          startTime.getTime() + maxMinutes * MINUTE,
+          closing && closing > startTime ? closing.getTime() : Infinity
+        ));
+        if (endTime - startTime < MINUTE) continue;
+      }
+
+      if (!isAdmin && checkBookingPolicy(policy, startTime, endTime).length > 0) continue;
+
+      candidates.push({ room, endTime, freeUntil, freeMinutes });
+    }
+
+    if (candidates.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: duration
+          ? `No room is free right now for ${duration} minutes${attendeeCount > 1 ? ` for ${attendeeCount} people` : ''}`
+          : 'No room is free right now'
+      });
+    }
+
+    // Nearest floor first, then the tightest fit, then the longest free
+    candidates.sort((a, b) =>
+      (floorDistance(a.room) - floorDistance(b.room)) ||
+      (a.room.capacity - b.room.capacity) ||
+      (b.freeMinutes - a.freeMinutes)
+    );
+
+    // Someone may take a room between the search and the booking; fall through to the next one.
+    // Candidates run to different ends, so each is checked against the quota on its own
+    let booked = null;
+    let quotaErrors = null;
+    let withinQuota = false;
+    for (const candidate of candidates) {
+      const errors = await QuotaService.checkBooking(req.user, [{ startTime, endTime: candidate.endTime }]);
+      if (errors.length > 0) {
+        quotaErrors = quotaErrors || errors;
+        continue;
+      }
+      withinQuota = true;
+
+      try {
+        booked = await withRoomLock([candidate.room._id], async () => {
+          const hasOverlap = await checkOverlapWithRecurring(candidate.room._id, startTime, candidate.endTime);
+          if (hasOverlap) {
+            return null;
+          }
+
+          const booking = await Booking.create({
+            room: candidate.room._id,
+            bookedBy: req.user._id,
+            title: title || 'Ad-hoc meeting',
+            description,
+            startTime,
+            endTime: candidate.endTime,
+            attendees: [req.user._id],
+            status: 'confirmed'
+          });
+          return { booking, candidate };
+        });
+      } catch (error) {
+        // A room being booked by someone else right now is as good as taken
+        if (error.statusCode !== 409) throw error;
+      }
+      if (booked) break;
+    }
+
+    if (!booked && !withinQuota) {
+      return res.status(403).json({
+        success: false,
+        message: 'Booking quota exceeded',
+        errors: quotaErrors
+      });
+    }
+
+    if (!booked) {
+      return res.status(409).json({
+        success: false,
+        message: 'The free rooms were just taken. Please try again.'
+      });
+    }
+
+    const { booking, candidate } = booked;
+    await HistoryService.record(booking, 'created', req.user, { reason: 'Instant booking' });
+    await booking.populate('room bookedBy');
+
+    await Notification.create({
+      user: req.user._id,
+      type: 'booking_created',
+      title: 'Room Booked',
+      message: `${candidate.room.name} is yours until ${booking.endTime.toLocaleTimeString()}.`,
+      booking: booking._id,
+      room: candidate.room._id
+    });
+
+    emitBookingUpdate(req.app.get('io'), booking, 'created');
+
+    res.status(201).json({
+      success: true,
+      message: `Booked ${candidate.room.name} until ${booking.endTime.toLocaleTimeString()}`,
+      data: {
+        booking,
+        room: candidate.room,
+        freeUntil: candidate.freeUntil,
+        freeMinutes: candidate.freeMinutes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
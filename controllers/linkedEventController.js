@@ -0,0 +1,210 @@
+const Booking = require('../models/Booking'); // Booking model
+const LinkedEvent = require('../models/LinkedEvent');
+const Notification = require('../models/Notification');
+const NotificationService = require('../services/notificationService');
+const LinkedEventService = require('../services/linkedEventService');
+const { normalizeGuests } = require('../utils/bookingHelper');
+const { emitBookingUpdate } = require('../utils/realtime');
+
+// Service failures that carry field errors or conflicting rooms are answered here,
+// everything else goes to the error handler
+const handleFailure = (error, res, next) => {
+  if (error.statusCode && error.details) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+  next(error);
+};
+
+// Load an event the caller organizes (or any event for admins), or send the error response
+const loadOwnEvent = async (req, res) => {
+  const event = await LinkedEvent.findById(req.params.id);
+
+  if (!event) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && event.organizer.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to change this event'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// The booking that carries the attendees and guests, populated for notifications
+const loadMainBooking = (event) => Booking.findOne({ linkedEvent: event._id, room: event.mainRoom })
+  .populate('room bookedBy');
+
+const roomNames = (bookings) => bookings.map(booking => booking.room.name || booking.room).join(', ');
+
+// @desc    Create an event that books several rooms for the same time
+// @route   POST /api/events
+// @access  Private
+exports.createEvent = async (req, res, next) => {
+  try {
+    const { rooms, title, description, startTime, endTime, overridePolicy } = req.body;
+
+    const { event, bookings } = await LinkedEventService.create({
+      roomIds: rooms,
+      title,
+      description,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      attendees: req.body.attendees || [],
+      externalGuests: normalizeGuests(req.body.externalGuests),
+      overridePolicy
+    }, req.user);
+
+    await Booking.populate(bookings, { path: 'room' });
+    const [main] = bookings;
+
+    await Notification.create({
+      user: req.user._id,
+      type: 'booking_created',
+      title: 'Event Booked',
+      message: `Your event "${event.title}" has been booked in ${roomNames(bookings)}.`,
+      booking: main._id,
+      room: main.room._id
+    });
+
+    await NotificationService.notifyAttendeesOfMeeting(main, req.user);
+    await NotificationService.emailExternalGuests([main], req.user, 'invitation');
+
+    const io = req.app.get('io');
+    bookings.forEach(booking => emitBookingUpdate(io, booking, 'created'));
+
+    res.status(201).json({
+      success: true,
+      message: `Event booked in ${bookings.length} rooms`,
+      data: { event, bookings }
+    });
+  } catch (error) {
+    handleFailure(error, res, next);
+  }
+};
+
+// @desc    Get an event with its room bookings
+// @route   GET /api/events/:id
+// @access  Private (organizer, attendees and admins)
+exports.getEvent = async (req, res, next) => {
+  try {
+    const event = await LinkedEvent.findById(req.params.id)
+      .populate('organizer', 'name email')
+      .populate('mainRoom', 'name location capacity')
+      .populate('rooms', 'name location capacity');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const bookings = await Booking.find({ linkedEvent: event._id })
+      .populate('room', 'name location capacity')
+      .populate('attendees', 'name email')
+      .sort('createdAt');
+
+    const userId = req.user._id.toString();
+    const involved = event.organizer._id.toString() === userId ||
+      bookings.some(booking => booking.attendees.some(a => a._id.toString() === userId));
+
+    if (req.user.role !== 'admin' && !involved) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this event'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { event, bookings }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Move every room of an event to a new time
+// @route   PUT /api/events/:id/reschedule
+// @access  Private (organizer or admin)
+exports.rescheduleEvent = async (req, res, next) => {
+  try {
+    const event = await loadOwnEvent(req, res);
+    if (!event) return;
+
+    const { bookings } = await LinkedEventService.reschedule(
+      event,
+      new Date(req.body.startTime),
+      new Date(req.body.endTime),
+      req.user,
+      { overridePolicy: req.body.overridePolicy }
+    );
+
+    const main = await loadMainBooking(event);
+    if (main) {
+      await NotificationService.notifyAttendeesOfMeetingUpdate(main, main.bookedBy, 'rescheduled');
+    }
+
+    const io = req.app.get('io');
+    bookings.forEach(booking => emitBookingUpdate(io, booking, 'updated'));
+
+    res.status(200).json({
+      success: true,
+      message: 'Event rescheduled in all its rooms',
+      data: { event, bookings }
+    });
+  } catch (error) {
+    handleFailure(error, res, next);
+  }
+};
+
+// @desc    Cancel an event in all its rooms
+// @route   PATCH /api/events/:id/cancel
+// @access  Private (organizer or admin)
+exports.cancelEvent = async (req, res, next) => {
+  try {
+    const event = await loadOwnEvent(req, res);
+    if (!event) return;
+
+    const { bookings } = await LinkedEventService.cancel(event, req.user, req.body.reason || '');
+
+    const main = await loadMainBooking(event);
+    if (main) {
+      await NotificationService.notifyAttendeesOfMeetingUpdate(main, main.bookedBy, 'cancelled');
+
+      if (req.user._id.toString() !== main.bookedBy._id.toString()) {
+        await Notification.create({
+          user: main.bookedBy._id,
+          type: 'admin_override',
+          title: 'Event Cancelled',
+          message: `Your event "${event.title}" has been cancelled by an admin.${req.body.reason ? ` Reason: ${req.body.reason}` : ''}`,
+          booking: main._id,
+          room: main.room._id
+        });
+      }
+    }
+
+    const io = req.app.get('io');
+    bookings.forEach(booking => emitBookingUpdate(io, booking, 'cancelled'));
+
+    res.status(200).json({
+      success: true,
+      message: 'Event cancelled in all its rooms',
+      data: { event, bookings }
+    });
+  } catch (error) {
+    handleFailure(error, res, next);
+  }
+};
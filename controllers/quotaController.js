@@ -0,0 +1,109 @@
+const BookingQuota = require('../models/BookingQuota'); // Booking quota model
+const User = require('../models/User');
+const QuotaService = require('../services/quotaService');
+
+// @desc    Get org default quotas and all role/department overrides
+// @route   GET /api/quotas
+// @access  Private/Admin
+exports.getQuotas = async (req, res, next) => {
+  try {
+    const overrides = await BookingQuota.find()
+      .populate('updatedBy', 'name email')
+      .sort('scope key');
+
+    res.status(200).json({
+      success: true,
+      count: overrides.length,
+      data: {
+        defaults: QuotaService.DEFAULT_QUOTA,
+        overrides
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create or replace the quota override for a role or department
+// @route   PUT /api/quotas
+// @access  Private/Admin
+exports.setQuota = async (req, res, next) => {
+  try {
+    const { scope, key, maxHoursPerWeek, maxFutureBookings, maxRecurringSeries } = req.body;
+
+    // Omitted limits are cleared so they inherit again
+    const update = { $set: { updatedBy: req.user._id, updatedAt: Date.now() } };
+    const limits = { maxHoursPerWeek, maxFutureBookings, maxRecurringSeries };
+    for (const [field, value] of Object.entries(limits)) {
+      if (value === undefined || value === null) {
+        update.$unset = { ...update.$unset, [field]: '' };
+      } else {
+        update.$set[field] = value;
+      }
+    }
+
+    const quota = await BookingQuota.findOneAndUpdate({ scope, key }, update, {
+      new: true,
+      upsert: true,
+      runValidators: true,
+      setDefaultsOnInsert: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Quota for ${scope} "${key}" saved`,
+      data: quota
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a quota override
+// @route   DELETE /api/quotas/:id
+// @access  Private/Admin
+exports.deleteQuota = async (req, res, next) => {
+  try {
+    const quota = await BookingQuota.findByIdAndDelete(req.params.id);
+
+    if (!quota) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quota not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Quota removed',
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a user's quota and remaining allowance
+// @route   GET /api/quotas/users/:userId
+// @access  Private/Admin
+exports.getUserQuota = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const quota = await QuotaService.getRemaining(user);
+
+    res.status(200).json({
+      success: true,
+      data: quota
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,488 @@
+const Booking = require('../models/Booking'); // Booking model
+const RecurrenceGroup = require('../models/RecurrenceGroup');
+const Room = require('../models/Room');
+const Notification = require('../models/Notification');
+const NotificationService = require('../services/notificationService');
+const WaitlistService = require('../services/waitlistService');
+const ApprovalService = require('../services/approvalService');
+const HistoryService = require('../services/historyService');
+const ResourceService = require('../services/resourceService');
+const {
+  checkOverlapWithRecurring,
+  combineDateAndTime,
+  toTimeString,
+  toDateOnly,
+  addRecurrenceException
+} = require('../utils/bookingHelper');
+const { resolvePolicy, checkSlotsPolicy } = require('../utils/bookingPolicy');
+
+const SCOPES = ['this', 'following', 'all'];
+
+// Occurrences that series edits and cancellations act on (including those awaiting approval)
+const SERIES_STATUSES = ['confirmed', 'pending'];
+
+// Load the occurrence plus its series and check the caller may change it
+const loadOccurrence = async (req, res) => {
+  const { scope = 'this' } = req.body;
+
+  if (!SCOPES.includes(scope)) {
+    res.status(400).json({
+      success: false,
+      message: `Scope must be one of: ${SCOPES.join(', ')}`
+    });
+    return null;
+  }
+
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && booking.bookedBy.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to modify this booking'
+    });
+    return null;
+  }
+
+  // Cancelled, completed and rejected occurrences are history; they cannot be moved or cancelled again
+  if (!SERIES_STATUSES.includes(booking.status)) {
+    res.status(400).json({
+      success: false,
+      message: `This occurrence is ${booking.status} and can no longer be changed`
+    });
+    return null;
+  }
+
+  const group = booking.recurrenceGroup ? await RecurrenceGroup.findById(booking.recurrenceGroup) : null;
+
+  if (!group) {
+    res.status(400).json({
+      success: false,
+      message: 'This booking is not part of a recurring series'
+    });
+    return null;
+  }
+
+  return { booking, group, scope };
+};
+
+// Confirmed occurrences affected by a scope ('all' only touches upcoming ones)
+const findScopedBookings = async (booking, group, scope) => {
+  if (scope === 'this') {
+    return [booking];
+  }
+
+  const query = { recurrenceGroup: group._id, status: { $in: SERIES_STATUSES } };
+  query.startTime = scope === 'following' ? { $gte: booking.startTime } : { $gte: new Date() };
+
+  return Booking.find(query).sort('startTime');
+};
+
+// End of the day before a date, used to truncate a series
+const dayBefore = (date) => {
+  const end = combineDateAndTime(date, '23:59');
+  end.setDate(end.getDate() - 1);
+  return end;
+};
+
+// @desc    Update one occurrence, this and following, or a whole recurring series
+// @route   PUT /api/bookings/:id/series
+// @access  Private
+exports.updateSeries = async (req, res, next) => {
+  try {
+    const loaded = await loadOccurrence(req, res);
+    if (!loaded) return;
+
+    const { booking, scope } = loaded;
+    let { group } = loaded;
+    const { title, description, room, attendees, startTime, endTime, overridePolicy } = req.body;
+
+    const newAnchorStart = startTime ? new Date(startTime) : booking.startTime;
+    const newAnchorEnd = endTime ? new Date(endTime) : booking.endTime;
+
+    if (newAnchorEnd <= newAnchorStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time'
+      });
+    }
+
+    // Series-wide edits move the time of day only; moving days means a new recurrence
+    if (scope !== 'this' && newAnchorStart.toDateString() !== booking.startTime.toDateString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Series edits can only change the time of day. Edit a single occurrence or create a new series to move dates.'
+      });
+    }
+
+    if (attendees !== undefined && (!Array.isArray(attendees) || (attendees.length === 0 && booking.externalGuests.length === 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one attendee or external guest is required for the booking'
+      });
+    }
+
+    const targetRoom = await Room.findById(room || booking.room);
+    if (!targetRoom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    const affected = await findScopedBookings(booking, group, scope);
+    if (affected.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No upcoming occurrences to update'
+      });
+    }
+
+    const startShift = newAnchorStart - booking.startTime;
+    const endShift = newAnchorEnd - booking.endTime;
+    const timeChanged = startShift !== 0 || endShift !== 0;
+    const roomChanged = targetRoom._id.toString() !== booking.room.toString();
+
+    // Capacity applies to every occurrence's final attendee list, guests included
+    const overCapacity = affected.find(b => (attendees || b.attendees).length + b.externalGuests.length > targetRoom.capacity);
+    if (overCapacity) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many attendees. Room capacity is ${targetRoom.capacity} people.`
+      });
+    }
+
+    // Moved occurrences must meet the target room's policy unless an admin overrides it
+    const policyOverridden = req.user.role === 'admin' && overridePolicy === true;
+    if ((timeChanged || roomChanged) && !policyOverridden) {
+      const policyErrors = checkSlotsPolicy(resolvePolicy(targetRoom), affected.map(occurrence => ({
+        startTime: new Date(occurrence.startTime.getTime() + startShift),
+        endTime: new Date(occurrence.endTime.getTime() + endShift)
+      })), { skipStartChecks: startShift === 0 });
+      if (policyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some occurrences do not meet the room booking policy',
+          errors: policyErrors
+        });
+      }
+    }
+
+    // Re-run conflict checks for every occurrence that moves
+    if (timeChanged || roomChanged) {
+      const affectedIds = affected.map(b => b._id);
+      const conflictDates = [];
+
+      for (const occurrence of affected) {
+        const newStart = new Date(occurrence.startTime.getTime() + startShift);
+        const newEnd = new Date(occurrence.endTime.getTime() + endShift);
+        const overlap = await checkOverlapWithRecurring(targetRoom._id, newStart, newEnd, affectedIds, group._id);
+        if (overlap) {
+          conflictDates.push(newStart.toDateString());
+        }
+      }
+
+      if (conflictDates.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Room is already booked on the following dates: ${conflictDates.join(', ')}. Please choose a different time or room.`,
+          conflictDates
+        });
+      }
+    }
+
+    // Each moved occurrence keeps its equipment, which must be free at the new time
+    if (timeChanged) {
+      const affectedIds = affected.map(b => b._id);
+      const resourceErrors = [];
+
+      for (const occurrence of affected) {
+        const newStart = new Date(occurrence.startTime.getTime() + startShift);
+        const newEnd = new Date(occurrence.endTime.getTime() + endShift);
+        const errors = await ResourceService.checkAvailability(occurrence.resources, [{ startTime: newStart, endTime: newEnd }], {
+          excludeBookingId: affectedIds
+        });
+        resourceErrors.push(...errors.map(error => ({ ...error, date: newStart.toDateString() })));
+      }
+
+      if (resourceErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Requested resources are not available',
+          errors: resourceErrors
+        });
+      }
+    }
+
+    // "This and following" on a later occurrence splits the series in two
+    if (scope === 'following') {
+      const hasEarlier = await Booking.exists({
+        recurrenceGroup: group._id,
+        startTime: { $lt: booking.startTime }
+      });
+
+      if (hasEarlier) {
+        const original = group;
+        const { _id, __v, createdAt, ...groupFields } = original.toObject();
+        group = await RecurrenceGroup.create({
+          ...groupFields,
+          startDate: booking.startTime
+        });
+
+        await Booking.updateMany(
+          { recurrenceGroup: original._id, startTime: { $gte: booking.startTime } },
+          { recurrenceGroup: group._id }
+        );
+
+        original.endDate = dayBefore(booking.startTime);
+        if (original.occurrenceCount) {
+          original.occurrenceCount = await Booking.countDocuments({ recurrenceGroup: original._id });
+          group.occurrenceCount = await Booking.countDocuments({ recurrenceGroup: group._id });
+        }
+        await original.save();
+      }
+    }
+
+    // Keep the series pattern in step with its bookings
+    if (scope !== 'this') {
+      if (title !== undefined) group.title = title;
+      if (description !== undefined) group.description = description;
+      if (roomChanged) group.room = targetRoom._id;
+      if (timeChanged) {
+        group.baseStartTime = toTimeString(newAnchorStart);
+        group.baseEndTime = toTimeString(newAnchorEnd);
+      }
+      await group.save();
+    }
+
+    // A single occurrence moved away frees its original slot in the pattern
+    if (scope === 'this' && (timeChanged || roomChanged)) {
+      await addRecurrenceException(group._id, booking.startTime);
+    }
+
+    // Moved occurrences in a restricted room go back for approval
+    const needsApproval = (timeChanged || roomChanged) && ApprovalService.needsApproval(targetRoom, req.user);
+    const approvalDeadline = needsApproval
+      ? ApprovalService.deadlineFor(new Date(affected[0].startTime.getTime() + startShift))
+      : undefined;
+
+    const previousSlots = affected.map(b => ({ room: b.room, startTime: b.startTime, endTime: b.endTime }));
+    const previousAttendees = [];
+    const updated = [];
+    for (const occurrence of affected) {
+      const before = HistoryService.snapshot(occurrence);
+      previousAttendees.push(...occurrence.attendees);
+
+      if (title !== undefined) occurrence.title = title;
+      if (description !== undefined) occurrence.description = description;
+      if (attendees !== undefined) occurrence.attendees = attendees;
+      occurrence.room = targetRoom._id;
+      occurrence.recurrenceGroup = group._id;
+      if (timeChanged) {
+        occurrence.startTime = new Date(occurrence.startTime.getTime() + startShift);
+        occurrence.endTime = new Date(occurrence.endTime.getTime() + endShift);
+        occurrence.responses = []; // Attendees respond again to the new time
+      }
+      if (policyOverridden) occurrence.policyOverridden = true;
+      if (needsApproval && SERIES_STATUSES.includes(occurrence.status)) {
+        occurrence.status = 'pending';
+        occurrence.approvalDeadline = approvalDeadline;
+      }
+      await occurrence.save();
+      await HistoryService.record(occurrence, 'updated', req.user, { before, reason: `Series update (${scope})` });
+      updated.push(occurrence);
+    }
+
+    // Offer the vacated slots to the waitlist (async, don't wait)
+    if (timeChanged || roomChanged) {
+      WaitlistService.processFreedBookings(previousSlots);
+    }
+
+    if (needsApproval) {
+      await NotificationService.notifyApproversOfRequest(updated[0], targetRoom, req.user, updated.length);
+    }
+
+    // One consolidated notification per attendee
+    await NotificationService.notifyAttendeesOfSeriesUpdate(updated, req.user, 'updated', previousAttendees);
+
+    if (req.user.role !== 'admin') {
+      await NotificationService.notifyAdminsOfUserAction('booking_updated', {
+        title: updated[0].title,
+        roomName: targetRoom.name,
+        bookingId: updated[0]._id,
+        roomId: targetRoom._id
+      }, req.user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${updated.length} occurrence(s) updated successfully`,
+      data: {
+        recurrenceGroup: group,
+        scope,
+        updatedBookings: updated.length,
+        bookings: updated
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel one occurrence, this and following, or a whole recurring series
+// @route   PATCH /api/bookings/:id/series/cancel
+// @access  Private
+exports.cancelSeries = async (req, res, next) => {
+  try {
+    const loaded = await loadOccurrence(req, res);
+    if (!loaded) return;
+
+    const { booking, group, scope } = loaded;
+    const reason = req.body.cancellationReason || req.body.reason || '';
+
+    const affected = (await findScopedBookings(booking, group, scope))
+      .filter(b => SERIES_STATUSES.includes(b.status));
+
+    if (affected.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No upcoming occurrences to cancel'
+      });
+    }
+
+    for (const occurrence of affected) {
+      const before = HistoryService.snapshot(occurrence);
+      occurrence.status = 'cancelled';
+      occurrence.cancelledBy = req.user._id;
+      occurrence.cancelledAt = Date.now();
+      occurrence.cancellationReason = reason;
+      await occurrence.save({ validateBeforeSave: false });
+      await HistoryService.record(occurrence, 'cancelled', req.user, { before, reason: reason || undefined });
+    }
+
+    // Stop the pattern from blocking the freed slots
+    if (scope === 'this') {
+      await addRecurrenceException(group._id, booking.startTime);
+    } else if (scope === 'all') {
+      group.isActive = false;
+      await group.save();
+    } else if (scope === 'following') {
+      const hasEarlier = await Booking.exists({
+        recurrenceGroup: group._id,
+        startTime: { $lt: booking.startTime }
+      });
+      if (hasEarlier) {
+        group.endDate = dayBefore(booking.startTime);
+      } else {
+        group.isActive = false;
+      }
+      await group.save();
+    }
+
+    // Offer the freed slots to the waitlist (async, don't wait)
+    WaitlistService.processFreedBookings(affected);
+
+    const room = await Room.findById(booking.room);
+
+    // One notification for the organizer, one per attendee
+    await Notification.create({
+      user: booking.bookedBy,
+      type: req.user.role === 'admin' ? 'admin_override' : 'booking_cancelled',
+      title: 'Recurring Booking Cancelled',
+      message: `${affected.length} occurrence(s) of your recurring booking "${booking.title}" have been cancelled.`,
+      booking: booking._id,
+      room: booking.room
+    });
+
+    await NotificationService.notifyAttendeesOfSeriesUpdate(affected, req.user, 'cancelled');
+
+    if (req.user.role !== 'admin' && room) {
+      await NotificationService.notifyAdminsOfUserAction('booking_cancelled', {
+        title: booking.title,
+        roomName: room.name,
+        bookingId: booking._id,
+        roomId: room._id
+      }, req.user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${affected.length} occurrence(s) cancelled successfully`,
+      data: {
+        recurrenceGroup: group,
+        scope,
+        cancelledBookings: affected.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add exception dates (skipped occurrences) to a recurring series
+// @route   POST /api/bookings/:id/series/exceptions
+// @access  Private
+exports.addExceptionDates = async (req, res, next) => {
+  try {
+    const loaded = await loadOccurrence(req, res);
+    if (!loaded) return;
+
+    const { booking, group } = loaded;
+    const { dates } = req.body;
+    const reason = req.body.reason || 'Occurrence skipped';
+
+    if (!Array.isArray(dates) || dates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide at least one exception date'
+      });
+    }
+
+    const skippedDates = dates.map(toDateOnly);
+    group.exceptionDates.addToSet(...skippedDates);
+    await group.save();
+
+    // Cancel the occurrences already booked on those dates so the slots are free again
+    const occurrences = await Booking.find({
+      recurrenceGroup: group._id,
+      status: { $in: SERIES_STATUSES },
+      $or: skippedDates.map(day => ({
+        startTime: { $gte: day, $lt: new Date(day.getTime() + 24 * 60 * 60 * 1000) }
+      }))
+    });
+
+    for (const occurrence of occurrences) {
+      const before = HistoryService.snapshot(occurrence);
+      occurrence.status = 'cancelled';
+      occurrence.cancelledBy = req.user._id;
+      occurrence.cancelledAt = Date.now();
+      occurrence.cancellationReason = reason;
+      await occurrence.save({ validateBeforeSave: false });
+      await HistoryService.record(occurrence, 'cancelled', req.user, { before, reason: reason || undefined });
+    }
+
+    if (occurrences.length > 0) {
+      WaitlistService.processFreedBookings(occurrences);
+      await NotificationService.notifyAttendeesOfSeriesUpdate(occurrences, req.user, 'cancelled');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${skippedDates.length} exception date(s) added, ${occurrences.length} occurrence(s) cancelled`,
+      data: {
+        recurrenceGroup: group,
+        cancelledBookings: occurrences.length,
+        bookingId: booking._id
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
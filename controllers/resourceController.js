@@ -0,0 +1,204 @@
+const Resource = require('../models/Resource'); // Resource model
+const Booking = require('../models/Booking');
+const ResourceService = require('../services/resourceService');
+const SchedulingService = require('../services/schedulingService');
+const { BLOCKING_STATUSES, locationPattern } = require('../utils/bookingHelper');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fields an admin may set on a resource
+const RESOURCE_FIELDS = ['name', 'type', 'description', 'quantity', 'location', 'isActive'];
+
+const pickResourceFields = (body) => {
+  const fields = {};
+  for (const field of RESOURCE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+};
+
+// @desc    Get resources; with startTime and endTime, how many of each are free then
+// @route   GET /api/resources
+// @access  Private (inactive resources are listed for admins only)
+exports.getResources = async (req, res, next) => {
+  try {
+    const { startTime, endTime, type, location } = req.query;
+
+    const query = req.user.role === 'admin' ? {} : { isActive: true };
+    if (type) query.type = type;
+    if (location) query.location = locationPattern(location);
+
+    const resources = await Resource.find(query).sort('name');
+
+    let data = resources;
+    if (startTime && endTime) {
+      data = [];
+      for (const resource of resources) {
+        data.push({
+          ...resource.toObject(),
+          available: resource.isActive
+            ? await ResourceService.availableQuantity(resource, new Date(startTime), new Date(endTime))
+            : 0
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single resource
+// @route   GET /api/resources/:id
+// @access  Private
+exports.getResource = async (req, res, next) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+
+    if (!resource || (!resource.isActive && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: resource
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create resource
+// @route   POST /api/resources
+// @access  Private/Admin
+exports.createResource = async (req, res, next) => {
+  try {
+    const resource = await Resource.create(pickResourceFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Resource created successfully',
+      data: resource
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update resource
+// @route   PUT /api/resources/:id
+// @access  Private/Admin
+exports.updateResource = async (req, res, next) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    resource.set(pickResourceFields(req.body));
+    await resource.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Resource updated successfully',
+      data: resource
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete resource
+// @route   DELETE /api/resources/:id
+// @access  Private/Admin
+exports.deleteResource = async (req, res, next) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    // Upcoming bookings still count on it; it can be deactivated instead
+    const upcoming = await Booking.countDocuments({
+      'resources.resource': resource._id,
+      status: { $in: BLOCKING_STATUSES },
+      endTime: { $gt: new Date() }
+    });
+    if (upcoming > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${upcoming} upcoming bookings use ${resource.name}. Deactivate it instead, or remove it from those bookings first.`
+      });
+    }
+
+    await resource.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Resource deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the bookings using a resource between windowStart and windowEnd (default: the next 7 days)
+// @route   GET /api/resources/:id/schedule
+// @access  Private/Admin
+exports.getResourceSchedule = async (req, res, next) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const windowStart = req.query.windowStart ? new Date(req.query.windowStart) : new Date();
+    const windowEnd = req.query.windowEnd ? new Date(req.query.windowEnd) : new Date(windowStart.getTime() + 7 * DAY);
+
+    if (windowEnd <= windowStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'Window end must be after window start'
+      });
+    }
+    if (windowEnd - windowStart > SchedulingService.MAX_SEARCH_DAYS * DAY) {
+      return res.status(400).json({
+        success: false,
+        message: `The schedule window cannot be longer than ${SchedulingService.MAX_SEARCH_DAYS} days`
+      });
+    }
+
+    const schedule = await ResourceService.getSchedule(resource, windowStart, windowEnd);
+
+    res.status(200).json({
+      success: true,
+      count: schedule.reservations.length,
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,7 +1,19 @@
+const crypto = require('crypto');
 const Room = require('../models/Room'); // Room model
 const Booking = require('../models/Booking');
-const Notification = require('../models/Notification');
 const NotificationService = require('../services/notificationService');
+const RelocationService = require('../services/relocationService');
+const SchedulingService = require('../services/schedulingService');
+const { BLOCKING_STATUSES } = require('../utils/bookingHelper');
+const { DEFAULT_POLICY, resolvePolicy } = require('../utils/bookingPolicy');
+const { hashKioskToken } = require('../middleware/auth');
+
+// Fields an admin can change through PUT /api/rooms/:id; status changes go through
+// PATCH /api/rooms/:id/status so displaced bookings are relocated
+const ROOM_UPDATE_FIELDS = [
+  'name', 'location', 'capacity', 'bufferBeforeMinutes', 'bufferAfterMinutes',
+  'bookingPolicy', 'requiresApproval', 'approvers'
+];
 
 // @desc    Get all rooms
 // @route   GET /api/rooms
@@ -27,6 +39,91 @@ exports.getRooms = async (req, res, next) => {
   }
 };
 
+// Most free slots listed per room
+const MAX_SLOTS_PER_ROOM = 20;
+
+// @desc    Find rooms free for a time (or a duration within a window)
+// @route   GET /api/rooms/search
+// @access  Private
+exports.findAvailableRooms = async (req, res, next) => {
+  try {
+    const { startTime, endTime, duration, windowStart, windowEnd, step, attendees, amenities, floor, location } = req.query;
+
+    // An exact time is a window that fits exactly one meeting
+    const exact = Boolean(startTime);
+    const searchStart = new Date(exact ? startTime : windowStart);
+    const searchEnd = new Date(exact ? endTime : windowEnd);
+    const durationMs = exact ? searchEnd - searchStart : parseInt(duration, 10) * 60 * 1000;
+    const stepMs = exact ? durationMs : (parseInt(step, 10) || 15) * 60 * 1000;
+
+    const { MAX_SEARCH_DAYS } = SchedulingService;
+    if (searchEnd - searchStart > MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `The search window can be at most ${MAX_SEARCH_DAYS} days`
+      });
+    }
+
+    const requiredAmenities = amenities
+      ? amenities.split(',').map(a => a.trim()).filter(Boolean)
+      : [];
+    const attendeeCount = parseInt(attendees, 10) || 1;
+
+    const floorNumber = floor !== undefined ? parseInt(floor, 10) : undefined;
+
+    const rooms = await Room.find(SchedulingService.roomQuery({
+      attendees: attendeeCount,
+      amenities: requiredAmenities,
+      floor: floorNumber,
+      location
+    }));
+    const results = [];
+
+    for (const room of rooms) {
+      // Admins may book outside a room's policy; nobody else can use those slots
+      const slots = await SchedulingService.freeSlotsForRoom(room, searchStart, searchEnd, durationMs, {
+        stepMs,
+        applyPolicy: req.user.role !== 'admin'
+      });
+
+      if (slots.length === 0) continue;
+
+      results.push({
+        room,
+        spareSeats: room.capacity - attendeeCount,
+        extraAmenities: room.amenities.filter(a => !requiredAmenities.includes(a)).length,
+        requiresApproval: Boolean(room.requiresApproval),
+        availableSlots: slots.slice(0, MAX_SLOTS_PER_ROOM)
+      });
+    }
+
+    // Best fit first: fewest empty seats, fewest unneeded amenities, earliest opening
+    results.sort((a, b) =>
+      (a.spareSeats - b.spareSeats) ||
+      (a.extraAmenities - b.extraAmenities) ||
+      (a.availableSlots[0].startTime - b.availableSlots[0].startTime) ||
+      a.room.name.localeCompare(b.room.name)
+    );
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      search: {
+        windowStart: searchStart,
+        windowEnd: searchEnd,
+        durationMinutes: durationMs / 60000,
+        attendees: attendeeCount,
+        amenities: requiredAmenities,
+        floor: floorNumber,
+        location: location || undefined
+      },
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get single room
 // @route   GET /api/rooms/:id
 // @access  Private
@@ -44,7 +141,7 @@ exports.getRoom = async (req, res, next) => {
     // Fetch all confirmed bookings for this room
     const bookings = await Booking.find({
       room: req.params.id,
-      status: 'confirmed'
+      status: { $in: BLOCKING_STATUSES }
     }).populate('bookedBy', 'name email').sort('startTime');
 
     // Add bookings to room object
@@ -82,6 +179,41 @@ exports.createRoom = async (req, res, next) => {
   }
 };
 
+// @desc    Update room
+// @route   PUT /api/rooms/:id
+// @access  Private/Admin
+exports.updateRoom = async (req, res, next) => {
+  try {
+    const updates = { updatedAt: Date.now() };
+    for (const field of ROOM_UPDATE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    const room = await Room.findByIdAndUpdate(req.params.id, updates, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    await NotificationService.notifyAdminsOfRoomAction('room_updated', room, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Room updated successfully',
+      data: room
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
 // @desc    Delete room
 // @route   DELETE /api/rooms/:id
@@ -97,50 +229,18 @@ exports.deleteRoom = async (req, res, next) => {
       });
     }
 
-    // Check if room has any bookings (future or past)
-    const allBookings = await Booking.find({
+    // Future bookings move to an equivalent room where possible, otherwise they are cancelled
+    const futureBookings = await Booking.find({
       room: req.params.id,
-      status: 'confirmed'
-    }).populate('bookedBy attendees', 'name email');
-
-    // Filter only future bookings for cancellation
-    const futureBookings = allBookings.filter(booking => 
-      new Date(booking.startTime) >= new Date()
-    );
-
-    // If there are future bookings, cancel them and notify users
-    if (futureBookings.length > 0) {
-      for (const booking of futureBookings) {
-        // Cancel the booking
-        booking.status = 'cancelled';
-        booking.cancelledBy = req.user._id;
-        booking.cancelledAt = Date.now();
-        booking.cancellationReason = `Room "${room.name}" has been deleted by administrator`;
-        await booking.save();
-
-        // Notify the person who booked
-        await Notification.create({
-          user: booking.bookedBy._id,
-          type: 'room_deleted',
-          title: 'Room Deleted - Booking Cancelled',
-          message: `Your booking "${booking.title}" has been cancelled because the room "${room.name}" no longer exists.`,
-          booking: booking._id
-        });
-
-        // Notify all attendees
-        if (booking.attendees && booking.attendees.length > 0) {
-          for (const attendee of booking.attendees) {
-            await Notification.create({
-              user: attendee._id,
-              type: 'room_deleted',
-              title: 'Room Deleted - Booking Cancelled',
-              message: `The booking "${booking.title}" has been cancelled because the room "${room.name}" no longer exists.`,
-              booking: booking._id
-            });
-          }
-        }
-      }
-    }
+      status: { $in: BLOCKING_STATUSES },
+      startTime: { $gte: new Date() }
+    }).sort('startTime');
+
+    const { relocated, cancelled } = await RelocationService.relocateOrCancel(futureBookings, room, {
+      actor: req.user,
+      reason: `Room "${room.name}" has been deleted by administrator.`,
+      cancelType: 'room_deleted'
+    });
 
     // Notify admins about room deletion
     await NotificationService.notifyAdminsOfRoomAction('room_deleted', room, req.user);
@@ -148,14 +248,15 @@ exports.deleteRoom = async (req, res, next) => {
     await room.deleteOne();
 
     const message = futureBookings.length > 0 
-      ? `Room deleted successfully. ${futureBookings.length} future booking(s) cancelled and users notified.`
+      ? `Room deleted successfully. ${relocated.length} future booking(s) moved to other rooms, ${cancelled.length} cancelled, and users notified.`
       : 'Room deleted successfully';
 
     res.status(200).json({
       success: true,
       message: message,
       data: {
-        cancelledBookings: futureBookings.length
+        relocatedBookings: relocated.length,
+        cancelledBookings: cancelled.length
       }
     });
   } catch (error) {
@@ -192,19 +293,80 @@ exports.getRoomAvailability = async (req, res, next) => {
     const endOfDay = new Date(date);
     endOfDay.setHours(23, 59, 59, 999);
 
+    const bufferBefore = (room.bufferBeforeMinutes || 0) * 60 * 1000;
+    const bufferAfter = (room.bufferAfterMinutes || 0) * 60 * 1000;
+
+    // Include bookings whose buffers spill into this day
     const bookings = await Booking.find({
       room: req.params.id,
-      status: 'confirmed',
-      startTime: { $lt: endOfDay },
-      endTime: { $gt: startOfDay }
-    }).populate('bookedBy', 'name email').sort('startTime');
+      status: { $in: BLOCKING_STATUSES },
+      startTime: { $lt: new Date(endOfDay.getTime() + bufferBefore) },
+      endTime: { $gt: new Date(startOfDay.getTime() - bufferAfter) }
+    })
+      .populate('bookedBy', 'name email')
+      .populate('linkedEvent', 'title mainRoom rooms') // Other rooms of a multi-room event
+      .sort('startTime');
+
+    // Setup and teardown time around each booking is unavailable too
+    const bufferBlocks = [];
+    for (const booking of bookings) {
+      if (bufferBefore > 0) {
+        bufferBlocks.push({
+          type: 'setup',
+          booking: booking._id,
+          startTime: new Date(booking.startTime.getTime() - bufferBefore),
+          endTime: booking.startTime
+        });
+      }
+      if (bufferAfter > 0) {
+        bufferBlocks.push({
+          type: 'teardown',
+          booking: booking._id,
+          startTime: booking.endTime,
+          endTime: new Date(booking.endTime.getTime() + bufferAfter)
+        });
+      }
+    }
 
     res.status(200).json({
       success: true,
       data: {
         room,
         date,
-        bookings
+        bookings,
+        buffers: {
+          beforeMinutes: room.bufferBeforeMinutes || 0,
+          afterMinutes: room.bufferAfterMinutes || 0
+        },
+        bufferBlocks
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the booking policy that applies to a room
+// @route   GET /api/rooms/:id/policy
+// @access  Private
+exports.getRoomPolicy = async (req, res, next) => {
+  try {
+    const room = await Room.findById(req.params.id);
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        room: room._id,
+        policy: resolvePolicy(room),
+        roomPolicy: room.bookingPolicy,
+        defaults: DEFAULT_POLICY
       }
     });
   } catch (error) {
@@ -236,6 +398,7 @@ exports.toggleRoomStatus = async (req, res, next) => {
   try {
     const { isActive } = req.body;
     
+    const previous = await Room.findById(req.params.id).select('isActive');
     const room = await Room.findByIdAndUpdate(
       req.params.id,
       { isActive },
@@ -249,6 +412,22 @@ exports.toggleRoomStatus = async (req, res, next) => {
       });
     }
 
+    // Deactivating a room displaces its future bookings: move them elsewhere or cancel them
+    let displaced = { relocated: [], cancelled: [] };
+    if (previous.isActive && !room.isActive) {
+      const futureBookings = await Booking.find({
+        room: room._id,
+        status: { $in: BLOCKING_STATUSES },
+        startTime: { $gte: new Date() }
+      }).sort('startTime');
+
+      displaced = await RelocationService.relocateOrCancel(futureBookings, room, {
+        actor: req.user,
+        reason: `Room "${room.name}" has been taken out of service by an administrator.`,
+        cancelType: 'booking_cancelled'
+      });
+    }
+
     // Notify admins about room status change
     await NotificationService.notifyAdminsOfRoomAction(
       'room_updated', 
@@ -259,7 +438,43 @@ exports.toggleRoomStatus = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: `Room ${isActive ? 'activated' : 'deactivated'} successfully`,
-      data: room
+      data: room,
+      displacedBookings: {
+        relocated: displaced.relocated.length,
+        cancelled: displaced.cancelled.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Issue a new kiosk token for a room (replaces the previous one)
+// @route   POST /api/rooms/:id/kiosk-token
+// @access  Private/Admin
+exports.generateKioskToken = async (req, res, next) => {
+  try {
+    const room = await Room.findById(req.params.id);
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    // Only the hash is stored, so the token is shown this one time
+    const token = crypto.randomBytes(24).toString('hex');
+    room.kioskTokenHash = hashKioskToken(token);
+    await room.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Kiosk token generated. Store it on the kiosk; it will not be shown again.',
+      data: {
+        room: room._id,
+        token
+      }
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,52 @@
+const Booking = require('../models/Booking'); // Booking model
+const RsvpService = require('../services/rsvpService');
+
+// Bookings attendees can still respond to
+const OPEN_STATUSES = ['held', 'pending', 'confirmed'];
+
+// @desc    Accept, decline or tentatively accept a meeting invitation
+// @route   PATCH /api/bookings/:id/rsvp
+// @access  Private
+exports.respondToBooking = async (req, res, next) => {
+  try {
+    const { status, comment } = req.body;
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const invited = RsvpService.invitees(booking).some(id => id.toString() === req.user._id.toString());
+    if (!invited) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only invited attendees can respond to this booking'
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(booking.status) || booking.endTime <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `This booking is ${booking.endTime <= new Date() ? 'over' : booking.status} and no longer takes responses`
+      });
+    }
+
+    const { booking: updated, released } = await RsvpService.respond(booking, req.user, status, comment);
+
+    res.status(200).json({
+      success: true,
+      message: released
+        ? 'Response recorded. Every attendee declined, so the booking was cancelled and the room released'
+        : 'Response recorded',
+      data: {
+        ...updated.toObject(),
+        rsvpSummary: RsvpService.summarize(updated)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,82 @@
+const SchedulingService = require('../services/schedulingService');
+
+// Comma-separated query values as a list without blanks or repeats
+const listParam = (value) => [...new Set((value || '').split(',').map(v => v.trim()).filter(Boolean))];
+
+// Parse and bound the search window; sends a 400 and returns null when it is too long
+const searchWindow = (req, res) => {
+  const windowStart = new Date(req.query.windowStart);
+  const windowEnd = new Date(req.query.windowEnd);
+  const { MAX_SEARCH_DAYS } = SchedulingService;
+
+  if (windowEnd - windowStart > MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000) {
+    res.status(400).json({
+      success: false,
+      message: `The search window can be at most ${MAX_SEARCH_DAYS} days`
+    });
+    return null;
+  }
+
+  return { windowStart, windowEnd };
+};
+
+// @desc    Get when a set of users are busy
+// @route   GET /api/bookings/free-busy
+// @access  Private
+exports.getFreeBusy = async (req, res, next) => {
+  try {
+    const window = searchWindow(req, res);
+    if (!window) return;
+
+    const data = await SchedulingService.getFreeBusy(listParam(req.query.users), window.windowStart, window.windowEnd);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      window,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Suggest meeting times when most attendees are free and a room is available
+// @route   GET /api/bookings/suggest-times
+// @access  Private
+exports.suggestTimes = async (req, res, next) => {
+  try {
+    const window = searchWindow(req, res);
+    if (!window) return;
+
+    // The organizer has to be there too
+    const userIds = [...new Set([req.user._id.toString(), ...listParam(req.query.attendees)])];
+    const amenities = listParam(req.query.amenities);
+
+    const data = await SchedulingService.suggestTimes({
+      userIds,
+      ...window,
+      durationMs: parseInt(req.query.duration, 10) * 60 * 1000,
+      stepMs: (parseInt(req.query.step, 10) || 15) * 60 * 1000,
+      roomConstraints: {
+        attendees: userIds.length,
+        amenities,
+        floor: req.query.floor !== undefined ? parseInt(req.query.floor, 10) : undefined,
+        location: req.query.location,
+        rooms: listParam(req.query.rooms)
+      },
+      // Admins may book outside room policies
+      applyPolicy: req.user.role !== 'admin',
+      limit: parseInt(req.query.limit, 10) || 10
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      window,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,206 @@
+const BookingTemplate = require('../models/BookingTemplate'); // Booking template model
+const Room = require('../models/Room');
+const { normalizeGuests } = require('../utils/bookingHelper');
+
+// Fields a template request may set
+const TEMPLATE_FIELDS = ['name', 'room', 'title', 'description', 'durationMinutes', 'attendees', 'externalGuests', 'releaseIfAllDecline', 'shared'];
+
+const pickTemplateFields = (body) => {
+  const fields = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  if (fields.externalGuests) {
+    fields.externalGuests = normalizeGuests(fields.externalGuests);
+  }
+  return fields;
+};
+
+// Load a template the caller may change, or send the error response
+const loadManageable = async (req, res) => {
+  const template = await BookingTemplate.findById(req.params.id);
+
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: 'Template not found'
+    });
+    return null;
+  }
+
+  if (!template.isManageableBy(req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to change this template'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+// Sharing goes to the owner's department, so the owner needs one
+const checkSharing = (template, res) => {
+  if (template.shared && !template.department) {
+    res.status(400).json({
+      success: false,
+      message: 'Only templates whose owner belongs to a department can be shared'
+    });
+    return false;
+  }
+  return true;
+};
+
+// @desc    Get the caller's templates and those shared with their department
+// @route   GET /api/templates
+// @access  Private
+exports.getTemplates = async (req, res, next) => {
+  try {
+    const visible = [{ owner: req.user._id }];
+    if (req.user.department) {
+      visible.push({ shared: true, department: req.user.department });
+    }
+
+    const templates = await BookingTemplate.find({ $or: visible })
+      .populate('room', 'name location capacity')
+      .populate('owner', 'name email')
+      .sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single template
+// @route   GET /api/templates/:id
+// @access  Private (owner, admins, and the owner's department when shared)
+exports.getTemplate = async (req, res, next) => {
+  try {
+    const template = await BookingTemplate.findById(req.params.id)
+      .populate('room', 'name location capacity')
+      .populate('owner', 'name email')
+      .populate('attendees', 'name email');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (!template.isVisibleTo(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this template'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create template
+// @route   POST /api/templates
+// @access  Private
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const fields = pickTemplateFields(req.body);
+
+    const room = await Room.findById(fields.room);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    const template = new BookingTemplate({
+      ...fields,
+      owner: req.user._id,
+      department: req.user.department
+    });
+    if (!checkSharing(template, res)) return;
+
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update template
+// @route   PUT /api/templates/:id
+// @access  Private (owner or admin)
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const template = await loadManageable(req, res);
+    if (!template) return;
+
+    const fields = pickTemplateFields(req.body);
+
+    if (fields.room && fields.room.toString() !== template.room.toString()) {
+      const room = await Room.findById(fields.room);
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          message: 'Room not found'
+        });
+      }
+    }
+
+    template.set(fields);
+
+    // Follow the owner into a new department; an admin editing keeps the owner's
+    if (template.owner.toString() === req.user._id.toString()) {
+      template.department = req.user.department;
+    }
+    if (!checkSharing(template, res)) return;
+
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete template
+// @route   DELETE /api/templates/:id
+// @access  Private (owner or admin)
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    const template = await loadManageable(req, res);
+    if (!template) return;
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Template deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
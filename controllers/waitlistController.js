@@ -0,0 +1,232 @@
+const WaitlistEntry = require('../models/WaitlistEntry'); // Waitlist model
+const Room = require('../models/Room');
+const WaitlistService = require('../services/waitlistService');
+const ResourceService = require('../services/resourceService');
+const { checkOverlapWithRecurring } = require('../utils/bookingHelper');
+
+// @desc    Join the waitlist for a booked room slot
+// @route   POST /api/waitlist
+// @access  Private
+exports.joinWaitlist = async (req, res, next) => {
+  try {
+    const { room, title, description, startTime, endTime, attendees = [], autoBook = false } = req.body;
+
+    const roomExists = await Room.findById(room);
+    if (!roomExists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    if (attendees.length > roomExists.capacity) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many attendees. Room capacity is ${roomExists.capacity} people, but ${attendees.length} attendees were selected.`
+      });
+    }
+
+    const startDateTime = new Date(startTime);
+    const endDateTime = new Date(endTime);
+
+    if (startDateTime <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You can only join the waitlist for a future time slot'
+      });
+    }
+
+    const hasOverlap = await checkOverlapWithRecurring(room, startDateTime, endDateTime);
+    if (!hasOverlap) {
+      return res.status(400).json({
+        success: false,
+        message: 'This time slot is available. Please book it directly.'
+      });
+    }
+
+    const alreadyWaiting = await WaitlistEntry.exists({
+      room,
+      user: req.user._id,
+      status: { $in: ['waiting', 'offered'] },
+      startTime: { $lt: endDateTime },
+      endTime: { $gt: startDateTime }
+    });
+    if (alreadyWaiting) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for this time slot'
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      room,
+      user: req.user._id,
+      title,
+      description,
+      startTime: startDateTime,
+      endTime: endDateTime,
+      attendees,
+      resources: ResourceService.normalizeRequests(req.body.resources),
+      autoBook
+    });
+
+    // Position among people waiting for an overlapping slot
+    const position = await WaitlistEntry.countDocuments({
+      room,
+      status: 'waiting',
+      startTime: { $lt: endDateTime },
+      endTime: { $gt: startDateTime },
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Added to the waitlist at position ${position}`,
+      data: {
+        entry,
+        position
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my waitlist entries
+// @route   GET /api/waitlist/my
+// @access  Private
+exports.getMyWaitlist = async (req, res, next) => {
+  try {
+    const entries = await WaitlistEntry.find({ user: req.user._id })
+      .populate('room', 'name location capacity')
+      .populate('booking')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load an entry owned by the current user
+const findOwnEntry = async (req, res) => {
+  const entry = await WaitlistEntry.findById(req.params.id);
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Waitlist entry not found'
+    });
+    return null;
+  }
+
+  if (entry.user.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this waitlist entry'
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+// @desc    Accept an offered slot and book it
+// @route   POST /api/waitlist/:id/accept
+// @access  Private
+exports.acceptOffer = async (req, res, next) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status !== 'offered' || entry.offerExpiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This offer is no longer available'
+      });
+    }
+
+    const booking = await WaitlistService.bookEntry(entry);
+    if (!booking) {
+      return res.status(400).json({
+        success: false,
+        message: 'Room is already booked for this time slot'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking created successfully',
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Decline an offered slot so the next person gets it
+// @route   POST /api/waitlist/:id/decline
+// @access  Private
+exports.declineOffer = async (req, res, next) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no open offer for this waitlist entry'
+      });
+    }
+
+    entry.status = 'declined';
+    await entry.save();
+
+    // Pass the slot on (async, don't wait)
+    WaitlistService.processFreedSlot(entry.room, entry.startTime, entry.endTime);
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer declined',
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/waitlist/:id
+// @access  Private
+exports.leaveWaitlist = async (req, res, next) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) return;
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This waitlist entry is no longer active'
+      });
+    }
+
+    const wasOffered = entry.status === 'offered';
+    entry.status = 'cancelled';
+    await entry.save();
+
+    if (wasOffered) {
+      WaitlistService.processFreedSlot(entry.room, entry.startTime, entry.endTime);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,20 @@
+const { scheduleJob } = require('./scheduler'); // Job scheduler
+const WaitlistService = require('../services/waitlistService');
+const HoldService = require('../services/holdService');
+const CheckInService = require('../services/checkInService');
+const LifecycleService = require('../services/lifecycleService');
+const ApprovalService = require('../services/approvalService');
+
+const MINUTE = 60 * 1000;
+
+// Register every background job; called once the server is listening
+exports.startJobs = ({ io }) => {
+  scheduleJob('waitlist-offer-expiry', MINUTE, () => WaitlistService.expireOffers());
+  scheduleJob('hold-sweeper', MINUTE, async () => {
+    await HoldService.sendExpiryReminders();
+    await HoldService.releaseExpiredHolds();
+  });
+  scheduleJob('no-show-release', MINUTE, () => CheckInService.releaseNoShows());
+  scheduleJob('booking-lifecycle', MINUTE, () => LifecycleService.advanceBookings(io));
+  scheduleJob('approval-expiry', MINUTE, () => ApprovalService.rejectExpired());
+};
@@ -0,0 +1,35 @@
+// Minimal in-process scheduler for background jobs
+const { tryAcquireLock } = require('../utils/lock');
+
+const timers = [];
+
+// Run handler every intervalMs, never overlapping a previous run of the same job.
+// Each run first takes a lease named after the job that outlives the run, so with
+// several server instances only one of them runs the job per interval.
+exports.scheduleJob = (name, intervalMs, handler) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const owner = await tryAcquireLock(`job:${name}`, Math.floor(intervalMs * 0.9));
+      if (owner) {
+        await handler();
+      }
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  timers.push(timer);
+};
+
+// Stop all scheduled jobs
+exports.stopJobs = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken'); // JWT library
+const crypto = require('crypto');
 const User = require('../models/User');
+const Room = require('../models/Room');
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
@@ -78,6 +80,45 @@ exports.adminOnly = (req, res, next) => {
   next();
 };
 
+// Authenticate a room kiosk by its X-Kiosk-Token header, for the room in the URL
+exports.protectKiosk = async (req, res, next) => {
+  try {
+    const token = req.headers['x-kiosk-token'];
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Kiosk token required'
+      });
+    }
+
+    const room = await Room.findOne({
+      _id: req.params.id,
+      kioskTokenHash: exports.hashKioskToken(token)
+    });
+
+    if (!room) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid kiosk token'
+      });
+    }
+
+    req.kioskRoom = room;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in authentication'
+    });
+  }
+};
+
+// Kiosk tokens are stored hashed only
+exports.hashKioskToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 // Generate JWT token
 exports.generateToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, {
@@ -0,0 +1,42 @@
+const BookingTemplate = require('../models/BookingTemplate'); // Booking template model
+
+// Turn a "book from template" request into a regular booking request, so createBooking's
+// validation, policy, quota and conflict checks run unchanged. The template's room and
+// duration are fixed; anything else in the body (title, attendees, recurrence, dryRun...)
+// overrides the template
+exports.applyTemplate = async (req, res, next) => {
+  try {
+    const template = await BookingTemplate.findById(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (!template.isVisibleTo(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to use this template'
+      });
+    }
+
+    const startTime = new Date(req.body.startTime);
+
+    req.body = {
+      title: template.title,
+      description: template.description,
+      attendees: template.attendees.map(id => id.toString()),
+      externalGuests: template.externalGuests.map(({ name, email }) => ({ name, email })),
+      releaseIfAllDecline: template.releaseIfAllDecline,
+      ...req.body,
+      room: template.room.toString(),
+      endTime: new Date(startTime.getTime() + template.durationMinutes * 60 * 1000).toISOString()
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,43 @@
+const Booking = require('../models/Booking'); // Booking model
+const { acquireLocks, roomLockKeys, resourceLockKeys } = require('../utils/lock');
+
+// Resources requested in the body; their quantity check and the write happen under the lock too
+const requestedResources = (req) => (Array.isArray(req.body.resources) ? req.body.resources : [])
+  .map(entry => entry && entry.resource);
+
+// Hold a lock on every room (and resource) a request writes to until its response is sent,
+// so the conflict check and the write happen as one step per room
+exports.lockRooms = (resolveRoomIds, resolveResourceIds = requestedResources) => {
+  return async (req, res, next) => {
+    try {
+      const roomIds = await resolveRoomIds(req);
+      const resourceIds = await resolveResourceIds(req);
+      const release = await acquireLocks([...roomLockKeys(roomIds), ...resourceLockKeys(resourceIds)]);
+
+      let released = false;
+      const done = () => {
+        if (released) return;
+        released = true;
+        release().catch(err => console.error('Room lock release error:', err));
+      };
+      res.on('finish', done);
+      res.on('close', done);
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Room named in the request body (new bookings)
+exports.lockRequestRoom = exports.lockRooms((req) => [req.body.room]);
+
+// Current room and resources of the booking in the URL plus the room and resources it may move to
+exports.lockBookingRooms = exports.lockRooms(async (req) => {
+  const booking = await Booking.findById(req.params.id).select('room');
+  return [booking && booking.room, req.body.room];
+}, async (req) => {
+  const booking = await Booking.findById(req.params.id).select('resources');
+  return [...(booking ? booking.resources.map(entry => entry.resource) : []), ...requestedResources(req)];
+});
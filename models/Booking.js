@@ -33,24 +33,133 @@ const bookingSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     }],
-    required: [true, 'Please provide at least one attendee'],
     validate: {
+      // Meetings with only external guests (e.g. a client visit) need no internal attendee.
+      // get() reads the document, or the update when validating one
       validator: function(attendees) {
-        return attendees && attendees.length > 0;
+        if (attendees && attendees.length > 0) {
+          return true;
+        }
+        const guests = this.get('externalGuests');
+        return Boolean(guests && guests.length > 0);
       },
-      message: 'At least one attendee is required for the booking'
+      message: 'At least one attendee or external guest is required for the booking'
     }
   },
+  externalGuests: [{
+    name: {
+      type: String,
+      required: [true, 'Please provide the guest\'s name'],
+      trim: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Please provide the guest\'s email'],
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid guest email']
+    }
+  }],
+  responses: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['accepted', 'declined', 'tentative'],
+      required: true
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    respondedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  releaseIfAllDecline: {
+    type: Boolean,
+    default: false // Cancel the booking and free the room once every attendee has declined
+  },
   recurrenceGroup: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'RecurrenceGroup',
     default: null
   },
+  resources: [{
+    _id: false,
+    resource: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Resource',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      min: [1, 'Resource quantity must be at least 1'],
+      default: 1
+    }
+  }],
+  linkedEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LinkedEvent',
+    default: null // Set on each room's booking of a multi-room event
+  },
   status: {
     type: String,
-    enum: ['confirmed', 'cancelled', 'completed'],
+    enum: ['held', 'pending', 'confirmed', 'in_progress', 'rejected', 'cancelled', 'completed'],
     default: 'confirmed'
   },
+  approvalDeadline: {
+    type: Date // Only for 'pending' bookings: rejected automatically after this
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Approver who approved or rejected the request
+  },
+  decidedAt: {
+    type: Date
+  },
+  decisionReason: {
+    type: String,
+    trim: true
+  },
+  holdExpiresAt: {
+    type: Date // Only for 'held' bookings: released automatically after this
+  },
+  holdReminderSentAt: {
+    type: Date
+  },
+  checkedInAt: {
+    type: Date
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Empty when checked in from the room kiosk
+  },
+  checkInMethod: {
+    type: String,
+    enum: ['organizer', 'attendee', 'admin', 'kiosk']
+  },
+  noShow: {
+    type: Boolean,
+    default: false // Released automatically because nobody checked in
+  },
+  policyOverridden: {
+    type: Boolean,
+    default: false // Admin booked outside the room's booking policy
+  },
+  relocatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room' // Set when the booking was moved here from a displaced room
+  },
+  overrideReason: {
+    type: String,
+    trim: true // Why an admin cancelled other bookings to make this one
+  },
   cancelledBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -74,7 +183,12 @@ const bookingSchema = new mongoose.Schema({
 // Indexes for better query performance
 bookingSchema.index({ room: 1, startTime: 1, endTime: 1 });
 bookingSchema.index({ bookedBy: 1 });
+bookingSchema.index({ linkedEvent: 1 });
+bookingSchema.index({ 'resources.resource': 1, startTime: 1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+bookingSchema.index({ status: 1, approvalDeadline: 1 });
+bookingSchema.index({ status: 1, endTime: 1 });
 
 // Validate that end time is after start time
 bookingSchema.pre('save', function(next) {
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose'); // MongoDB ODM
+
+// One version of a booking: who changed what, with the full state after the change
+// (kept after the booking itself is deleted)
+const bookingHistorySchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'cancelled', 'approved', 'rejected', 'relocated', 'overridden', 'reverted', 'deleted'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Empty for changes made automatically
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed, // Tracked fields after this change; what a revert restores
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+bookingHistorySchema.index({ booking: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('BookingHistory', bookingHistorySchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose'); // MongoDB ODM
+
+// Quota override for a role or a department; unset limits inherit the next level
+// (org defaults -> role -> department)
+const bookingQuotaSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['role', 'department'],
+    required: [true, 'Please provide a quota scope']
+  },
+  key: {
+    type: String,
+    required: [true, 'Please provide the role or department name'],
+    trim: true
+  },
+  maxHoursPerWeek: {
+    type: Number,
+    min: 0
+  },
+  maxFutureBookings: {
+    type: Number,
+    min: 0
+  },
+  maxRecurringSeries: {
+    type: Number,
+    min: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+bookingQuotaSchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// Update timestamp on save
+bookingQuotaSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('BookingQuota', bookingQuotaSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose'); // MongoDB ODM
+
+// A saved meeting shape (room, title, attendees, duration) that bookings can be created from
+const bookingTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a template name'],
+    trim: true,
+    maxlength: [100, 'Template name cannot be more than 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: [true, 'Please provide a room']
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a booking title'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  durationMinutes: {
+    type: Number,
+    required: [true, 'Please provide a duration'],
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [1440, 'Duration cannot be more than 1440 minutes']
+  },
+  attendees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  externalGuests: [{
+    _id: false,
+    name: {
+      type: String,
+      required: [true, 'Please provide the guest\'s name'],
+      trim: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Please provide the guest\'s email'],
+      lowercase: true,
+      trim: true
+    }
+  }],
+  releaseIfAllDecline: {
+    type: Boolean,
+    default: false
+  },
+  shared: {
+    type: Boolean,
+    default: false // Shared templates are visible to everyone in the owner's department
+  },
+  department: {
+    type: String,
+    trim: true // Owner's department when the template was last saved
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+bookingTemplateSchema.index({ owner: 1, name: 1 });
+bookingTemplateSchema.index({ shared: 1, department: 1 });
+
+// Update timestamp on save
+bookingTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Owners and admins may change a template
+bookingTemplateSchema.methods.isManageableBy = function(user) {
+  return user.role === 'admin' || (this.owner._id || this.owner).toString() === user._id.toString();
+};
+
+// Templates are used by their owner, admins, and the owner's department once shared
+bookingTemplateSchema.methods.isVisibleTo = function(user) {
+  return this.isManageableBy(user) ||
+    (this.shared && Boolean(this.department) && this.department === user.department);
+};
+
+module.exports = mongoose.model('BookingTemplate', bookingTemplateSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose'); // MongoDB ODM
+
+// One event held in several rooms at once (e.g. a town hall with overflow rooms).
+// Each room has its own booking pointing back here; they are checked, moved and cancelled together
+const linkedEventSchema = new mongoose.Schema({
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide an event title'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  mainRoom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true // Its booking carries the attendees and guests
+  },
+  rooms: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  }],
+  startTime: {
+    type: Date,
+    required: [true, 'Please provide a start time']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'Please provide an end time']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+linkedEventSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('LinkedEvent', linkedEventSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose'); // MongoDB ODM
+
+// Short-lived lease used to serialize work across requests and server instances
+const lockSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true // e.g. "room:<roomId>"
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB clean up leases abandoned by crashed processes
+lockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Lock', lockSchema);
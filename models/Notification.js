@@ -11,7 +11,11 @@ const notificationSchema = new mongoose.Schema({
     enum: [
       'booking_created', 'booking_cancelled', 'booking_updated', 'booking_reassigned', 
       'booking_reminder', 'admin_override', 'meeting_scheduled', 'user_action_alert',
-      'room_created', 'room_updated', 'room_deleted', 'user_registered'
+      'room_created', 'room_updated', 'room_deleted', 'user_registered',
+      'waitlist_offer', 'waitlist_booked', 'waitlist_expired',
+      'hold_expiring', 'hold_expired', 'no_show',
+      'approval_requested', 'booking_approved', 'booking_rejected',
+      'attendee_response'
     ],
     required : true
   },
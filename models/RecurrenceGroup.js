@@ -13,14 +13,39 @@ const recurrenceGroupSchema = new mongoose.Schema({
   },
   recurrencePattern: {
     type: String,
-    enum: ['weekly'],
+    enum: ['daily', 'weekly', 'monthly'],
     default: 'weekly'
   },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1 // Every N days / weeks / months
+  },
   dayOfWeek: {
     type: Number,
     min: 0,
-    max: 6,
-    required: true // 0 = Sunday, 1 = Monday, etc.
+    max: 6 // 0 = Sunday, 1 = Monday, etc. (first weekday of the pattern)
+  },
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31 // Monthly by date
+  },
+  weekOfMonth: {
+    type: Number,
+    enum: [-1, 1, 2, 3, 4, 5] // Monthly by nth weekday, -1 = last
+  },
+  occurrenceCount: {
+    type: Number,
+    min: 1
+  },
+  rrule: {
+    type: String // RFC 5545 RRULE equivalent of the pattern
   },
   startDate: {
     type: Date,
@@ -45,6 +70,9 @@ const recurrenceGroupSchema = new mongoose.Schema({
   description: {
     type: String
   },
+  exceptionDates: [{
+    type: Date // Skipped occurrences (start of day), like EXDATE
+  }],
   isActive: {
     type: Boolean,
     default: true
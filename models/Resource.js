@@ -0,0 +1,50 @@
+const mongoose = require('mongoose'); // MongoDB ODM
+
+// Portable equipment shared across rooms (projectors, speakerphones, laptop carts);
+// bookings reserve some of the quantity for their time slot
+const resourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a resource name'],
+    unique: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    trim: true // Free-form category, e.g. "projector"
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Please provide the quantity available'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  location: {
+    type: String,
+    required: [true, 'Please provide where the resource is kept'],
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true // Inactive resources (e.g. out for repair) cannot be requested
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+resourceSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Resource', resourceSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose'); // MongoDB ODM
+const { TIME_PATTERN } = require('../utils/bookingPolicy');
 
 const roomSchema = new mongoose.Schema({
   name: {
@@ -32,6 +33,49 @@ const roomSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  bufferBeforeMinutes: {
+    type: Number,
+    min: 0,
+    default: 0 // Setup time blocked before each booking
+  },
+  bufferAfterMinutes: {
+    type: Number,
+    min: 0,
+    default: 0 // Cleaning / teardown time blocked after each booking
+  },
+  requiresApproval: {
+    type: Boolean,
+    default: false // Bookings stay pending until an approver decides
+  },
+  approvers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Facilities managers; admins can always approve
+  }],
+  bookingPolicy: {
+    // Unset fields fall back to the org-wide defaults (utils/bookingPolicy.js)
+    hours: [{
+      _id: false,
+      day: { type: Number, min: 0, max: 6, required: true },
+      open: { type: String, match: [TIME_PATTERN, 'Opening time must be in HH:mm format'], required: true },
+      close: { type: String, match: [TIME_PATTERN, 'Closing time must be in HH:mm format'], required: true }
+    }],
+    minDurationMinutes: { type: Number, min: 1 },
+    maxDurationMinutes: { type: Number, min: 1 },
+    maxAdvanceDays: { type: Number, min: 1 },
+    minNoticeMinutes: { type: Number, min: 0 }
+  },
+  requiresCheckIn: {
+    type: Boolean,
+    default: false // Opt-in: release bookings nobody checks in to
+  },
+  checkInGraceMinutes: {
+    type: Number,
+    min: 1 // Falls back to CHECKIN_GRACE_MINUTES
+  },
+  kioskTokenHash: {
+    type: String,
+    select: false // sha256 of the room kiosk's token
+  },
   imageUrl: {
     type: String
   },
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const waitlistEntrySchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a booking title'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Please provide a start time']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'Please provide an end time']
+  },
+  attendees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  resources: [{
+    _id: false,
+    resource: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Resource',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      min: [1, 'Resource quantity must be at least 1'],
+      default: 1
+    }
+  }],
+  autoBook: {
+    type: Boolean,
+    default: false // Book straight away when the slot frees up instead of offering it
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'declined', 'cancelled'],
+    default: 'waiting'
+  },
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking' // Booking created from this entry
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// First come, first served per room
+waitlistEntrySchema.index({ room: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
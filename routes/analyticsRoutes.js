@@ -6,6 +6,7 @@ const {
   getRoomUtilization,
   getTimeSlotPopularity,
   getUserStats,
+  getNoShowStats,
   getAllAnalytics
 } = require('../controllers/analyticsController');
 const { protect, authorize } = require('../middleware/auth');
@@ -19,5 +20,6 @@ router.get('/dashboard', getDashboardAnalytics);
 router.get('/utilization', getRoomUtilization);
 router.get('/time-slots', getTimeSlotPopularity);
 router.get('/user-stats', getUserStats);
+router.get('/no-shows', getNoShowStats);
 
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express'); // Express framework
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   getBookings,
   getBooking,
@@ -8,51 +8,277 @@ const {
   updateBooking,
   cancelBooking,
   getMyBookings,
+  getMyQuota,
   deleteBooking
 } = require('../controllers/bookingController');
+const { updateSeries, cancelSeries, addExceptionDates } = require('../controllers/recurrenceController');
+const { createHold, confirmHold } = require('../controllers/holdController');
+const { checkInBooking } = require('../controllers/checkInController');
+const { getPendingApprovals, approveBooking, rejectBooking } = require('../controllers/approvalController');
+const { getFreeBusy, suggestTimes } = require('../controllers/schedulingController');
+const { respondToBooking } = require('../controllers/rsvpController');
+const { getBookingHistory, revertBooking } = require('../controllers/historyController');
+const { extendBooking, endBooking } = require('../controllers/extensionController');
+const { bookNow } = require('../controllers/instantBookingController');
+const { importBookings } = require('../controllers/importController');
+const RsvpService = require('../services/rsvpService');
 const { protect, authorize } = require('../middleware/auth');
+const { lockRequestRoom, lockBookingRooms } = require('../middleware/roomLock');
+const { applyTemplate } = require('../middleware/bookingTemplate');
 const { handleValidationErrors } = require('../middleware/validation');
 
 // Validation rules
+const externalGuestValidation = [
+  body('externalGuests').optional().isArray({ max: 50 }).withMessage('External guests must be a list of at most 50 people'),
+  body('externalGuests.*.name').trim().notEmpty().withMessage('Each external guest needs a name'),
+  body('externalGuests.*.email').trim().isEmail().withMessage('Each external guest needs a valid email')
+];
+
+const resourceRequestValidation = [
+  body('resources').optional().isArray({ max: 20 }).withMessage('Resources must be a list of at most 20 items'),
+  body('resources.*.resource').isMongoId().withMessage('Each requested resource needs a resource id'),
+  body('resources.*.quantity').optional().isInt({ min: 1 }).withMessage('Resource quantity must be a positive number').toInt()
+];
+
 const bookingValidation = [
   body('room').notEmpty().withMessage('Room is required'),
   body('title').trim().notEmpty().withMessage('Title is required'),
   body('startTime').isISO8601().withMessage('Valid start time is required'),
   body('endTime').isISO8601().withMessage('Valid end time is required'),
   body('attendees')
-    .isArray({ min: 1 })
-    .withMessage('At least one attendee is required')
+    .optional()
+    .isArray()
+    .withMessage('Attendees must be a list')
     .custom((attendees) => {
-      if (!attendees || attendees.length === 0) {
-        throw new Error('At least one attendee is required');
-      }
       if (attendees.length > 50) { // Reasonable upper limit
         throw new Error('Too many attendees selected');
       }
       return true;
     }),
+  ...externalGuestValidation,
+  ...resourceRequestValidation,
+  body('attendees').custom((attendees, { req }) => {
+    if ((attendees || []).length + (req.body.externalGuests || []).length === 0) {
+      throw new Error('At least one attendee or external guest is required');
+    }
+    return true;
+  }),
   body('endTime').custom((value, { req }) => {
     if (new Date(value) <= new Date(req.body.startTime)) {
       throw new Error('End time must be after start time');
     }
     return true;
   }),
+  body('recurrenceEndDate').optional({ nullable: true }).isISO8601().withMessage('Valid recurrence end date is required'),
+  body('recurrence.frequency').optional().isIn(['daily', 'weekly', 'monthly']).withMessage('Recurrence frequency must be daily, weekly or monthly'),
+  body('recurrence.interval').optional().isInt({ min: 1 }).withMessage('Recurrence interval must be at least 1'),
+  body('rrule').optional().isString().withMessage('RRULE must be a string'),
+  body('exceptionDates').optional().isArray().withMessage('Exception dates must be a list'),
+  body('exceptionDates.*').isISO8601().withMessage('Exception dates must be valid dates'),
+  body('overridePolicy').optional().isBoolean().withMessage('overridePolicy must be true or false').toBoolean(),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(),
+  body('confirmOverride').optional().isBoolean().withMessage('confirmOverride must be true or false').toBoolean(),
+  body('overrideReason').optional().isString().trim(),
+  body('overrideToken').optional().isString(),
+  body('releaseIfAllDecline').optional().isBoolean().withMessage('releaseIfAllDecline must be true or false').toBoolean(),
+  handleValidationErrors
+];
+
+const bookingUpdateValidation = [
+  body('startTime').optional().isISO8601().withMessage('Valid start time is required'),
+  body('attendees').optional().isArray().withMessage('Attendees must be a list'),
+  ...externalGuestValidation,
+  ...resourceRequestValidation,
+  body('endTime').optional().isISO8601().withMessage('Valid end time is required'),
+  body('overridePolicy').optional().isBoolean().withMessage('overridePolicy must be true or false').toBoolean(),
+  body('releaseIfAllDecline').optional().isBoolean().withMessage('releaseIfAllDecline must be true or false').toBoolean(),
+  handleValidationErrors
+];
+
+const holdValidation = [
+  body('room').notEmpty().withMessage('Room is required'),
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('startTime').isISO8601().withMessage('Valid start time is required'),
+  body('endTime').isISO8601().withMessage('Valid end time is required'),
+  body('endTime').custom((value, { req }) => {
+    if (new Date(value) <= new Date(req.body.startTime)) {
+      throw new Error('End time must be after start time');
+    }
+    return true;
+  }),
+  body('holdMinutes').optional().isInt({ min: 1 }).withMessage('Hold minutes must be a positive number'),
+  handleValidationErrors
+];
+
+const confirmHoldValidation = [
+  body('attendees').optional().isArray().withMessage('Attendees must be a list'),
+  ...externalGuestValidation,
+  body('attendees').custom((attendees, { req }) => {
+    if ((attendees || []).length + (req.body.externalGuests || []).length === 0) {
+      throw new Error('At least one attendee or external guest is required');
+    }
+    return true;
+  }),
+  handleValidationErrors
+];
+
+const instantBookingValidation = [
+  body('duration').optional().isInt({ min: 1, max: 1440 }).withMessage('Duration must be between 1 and 1440 minutes').toInt(),
+  body('attendees').optional().isInt({ min: 1 }).withMessage('Attendees must be a positive number').toInt(),
+  body('floor').optional().isInt().withMessage('Floor must be a number').toInt(),
+  body('location').optional().isString().trim(),
+  body('title').optional().trim(),
+  handleValidationErrors
+];
+
+const importValidation = [
+  body('csv').optional().isString().withMessage('csv must be the text of a CSV file'),
+  body('rows').optional().isArray().withMessage('rows must be a list'),
+  body('rows.*').optional().isObject().withMessage('Each row must be an object'),
+  body('csv').custom((csv, { req }) => {
+    if ((csv === undefined) === (req.body.rows === undefined)) {
+      throw new Error('Send either csv or rows');
+    }
+    return true;
+  }),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(),
+  handleValidationErrors
+];
+
+// Comma-separated list of user or room ids in a query parameter
+const idListParam = (name, max = 50) => query(name)
+  .custom((value) => {
+    const ids = String(value).split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0 || !ids.every(id => /^[a-f\d]{24}$/i.test(id))) {
+      throw new Error(`${name} must be a comma-separated list of ids`);
+    }
+    if (ids.length > max) {
+      throw new Error(`At most ${max} ids are allowed in ${name}`);
+    }
+    return true;
+  });
+
+const searchWindowValidation = [
+  query('windowStart').isISO8601().withMessage('Valid window start is required'),
+  query('windowEnd').isISO8601().withMessage('Valid window end is required')
+    .custom((windowEnd, { req }) => {
+      if (new Date(windowEnd) <= new Date(req.query.windowStart)) {
+        throw new Error('Window end must be after window start');
+      }
+      return true;
+    })
+];
+
+const freeBusyValidation = [
+  idListParam('users'),
+  ...searchWindowValidation,
+  handleValidationErrors
+];
+
+const suggestTimesValidation = [
+  idListParam('attendees').optional({ values: 'falsy' }),
+  idListParam('rooms').optional({ values: 'falsy' }),
+  ...searchWindowValidation,
+  query('duration').isInt({ min: 1 }).withMessage('Duration in minutes is required')
+    .custom((duration, { req }) => {
+      if ((new Date(req.query.windowEnd) - new Date(req.query.windowStart)) / 60000 < parseInt(duration, 10)) {
+        throw new Error('The search window must be at least as long as the duration');
+      }
+      return true;
+    }),
+  query('step').optional().isInt({ min: 5, max: 240 }).withMessage('Step must be between 5 and 240 minutes'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('floor').optional().isInt().withMessage('Floor must be a number'),
   handleValidationErrors
 ];
 
 // Routes
 router.get('/my-bookings', protect, getMyBookings);
+router.get('/my-quota', protect, getMyQuota);
+router.get('/pending-approvals', protect, getPendingApprovals);
+
+// Scheduling assistant
+router.get('/free-busy', protect, freeBusyValidation, getFreeBusy);
+router.get('/suggest-times', protect, suggestTimesValidation, suggestTimes);
+
+// Tentative holds
+router.post('/hold', protect, holdValidation, lockRequestRoom, createHold);
+router.patch('/:id/confirm', protect, confirmHoldValidation, lockBookingRooms, confirmHold);
+
+// Instant booking of the best room free right now
+router.post('/instant', protect, instantBookingValidation, bookNow);
+
+// Booking from a saved template: the start time is all that is required
+router.post('/from-template/:templateId', protect, [
+  body('startTime').isISO8601().withMessage('Valid start time is required'),
+  handleValidationErrors
+], applyTemplate, bookingValidation, lockRequestRoom, createBooking);
+
+// Bulk import (CSV or JSON rows)
+router.post('/import', protect, importValidation, importBookings);
 
 router.route('/')
   .get(protect, getBookings)
-  .post(protect, bookingValidation, createBooking);
+  .post(protect, bookingValidation, lockRequestRoom, createBooking);
 
 router.route('/:id' )
   .get(protect, getBooking)
-  .put(protect, updateBooking);
+  .put(protect, bookingUpdateValidation, lockBookingRooms, updateBooking);
 
 router.patch('/:id/cancel', protect, cancelBooking);
 
+// Change history; admins can restore an earlier version
+router.get('/:id/history', protect, getBookingHistory);
+router.post('/:id/revert', protect, authorize('admin'), [
+  body('version').isInt({ min: 1 }).withMessage('The version to revert to is required').toInt(),
+  body('reason').optional().isString().trim(),
+  handleValidationErrors
+], revertBooking);
+
+// Approval workflow for rooms that require it
+router.patch('/:id/approve', protect, [
+  body('reason').optional().trim(),
+  handleValidationErrors
+], approveBooking);
+router.patch('/:id/reject', protect, [
+  body('reason').trim().notEmpty().withMessage('A reason is required when rejecting a booking'),
+  handleValidationErrors
+], rejectBooking);
+router.post('/:id/check-in', protect, checkInBooking);
+
+// Running over or finishing early
+router.patch('/:id/extend', protect, [
+  body('minutes').isInt({ min: 1, max: 480 }).withMessage('Minutes must be between 1 and 480').toInt(),
+  body('acceptPartial').optional().isBoolean().withMessage('acceptPartial must be true or false').toBoolean(),
+  body('overridePolicy').optional().isBoolean().withMessage('overridePolicy must be true or false').toBoolean(),
+  handleValidationErrors
+], lockBookingRooms, extendBooking);
+router.patch('/:id/end', protect, lockBookingRooms, endBooking);
+
+// Attendee responses to an invitation
+router.patch('/:id/rsvp', protect, [
+  body('status').isIn(RsvpService.RESPONSE_STATUSES).withMessage('Status must be accepted, declined or tentative'),
+  body('comment').optional().isString().trim().isLength({ max: 500 }).withMessage('Comment can be at most 500 characters'),
+  handleValidationErrors
+], respondToBooking);
+
+// Recurring series: scope is 'this', 'following' or 'all'
+const seriesScopeValidation = [
+  body('scope').optional().isIn(['this', 'following', 'all']).withMessage('Scope must be this, following or all'),
+  body('startTime').optional().isISO8601().withMessage('Valid start time is required'),
+  body('endTime').optional().isISO8601().withMessage('Valid end time is required'),
+  body('overridePolicy').optional().isBoolean().withMessage('overridePolicy must be true or false').toBoolean(),
+  handleValidationErrors
+];
+
+router.put('/:id/series', protect, seriesScopeValidation, lockBookingRooms, updateSeries);
+router.patch('/:id/series/cancel', protect, seriesScopeValidation, lockBookingRooms, cancelSeries);
+router.post('/:id/series/exceptions', protect, [
+  body('dates').isArray({ min: 1 }).withMessage('At least one exception date is required'),
+  body('dates.*').isISO8601().withMessage('Exception dates must be valid dates'),
+  handleValidationErrors
+], lockBookingRooms, addExceptionDates);
+
 router.delete('/:id', protect, authorize('admin'), deleteBooking);
 
 module.exports = router;
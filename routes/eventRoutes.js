@@ -0,0 +1,62 @@
+const express = require('express'); // Express framework
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  createEvent,
+  getEvent,
+  rescheduleEvent,
+  cancelEvent
+} = require('../controllers/linkedEventController');
+const LinkedEventService = require('../services/linkedEventService');
+const { protect } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+// Validation rules
+const timeValidation = [
+  body('startTime').isISO8601().withMessage('Valid start time is required'),
+  body('endTime').isISO8601().withMessage('Valid end time is required')
+    .custom((endTime, { req }) => {
+      if (new Date(endTime) <= new Date(req.body.startTime)) {
+        throw new Error('End time must be after start time');
+      }
+      return true;
+    }),
+  body('overridePolicy').optional().isBoolean().withMessage('overridePolicy must be true or false').toBoolean()
+];
+
+const eventValidation = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('rooms')
+    .isArray({ min: 2, max: LinkedEventService.MAX_EVENT_ROOMS })
+    .withMessage(`An event needs between 2 and ${LinkedEventService.MAX_EVENT_ROOMS} rooms`)
+    .custom((rooms) => {
+      if (new Set(rooms.map(String)).size !== rooms.length) {
+        throw new Error('Each room can only be listed once');
+      }
+      return true;
+    }),
+  body('rooms.*').isMongoId().withMessage('Each room must be a room id'),
+  ...timeValidation,
+  body('attendees').optional().isArray({ max: 500 }).withMessage('Attendees must be a list of at most 500 people'),
+  body('attendees.*').isMongoId().withMessage('Each attendee must be a user id'),
+  body('externalGuests').optional().isArray({ max: 50 }).withMessage('External guests must be a list of at most 50 people'),
+  body('externalGuests.*.name').trim().notEmpty().withMessage('Each external guest needs a name'),
+  body('externalGuests.*.email').trim().isEmail().withMessage('Each external guest needs a valid email'),
+  body('attendees').custom((attendees, { req }) => {
+    if (!(attendees && attendees.length > 0) && !(req.body.externalGuests && req.body.externalGuests.length > 0)) {
+      throw new Error('At least one attendee or external guest is required');
+    }
+    return true;
+  }),
+  handleValidationErrors
+];
+
+router.post('/', protect, eventValidation, createEvent);
+router.get('/:id', protect, getEvent);
+router.put('/:id/reschedule', protect, [...timeValidation, handleValidationErrors], rescheduleEvent);
+router.patch('/:id/cancel', protect, [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
+  handleValidationErrors
+], cancelEvent);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express'); // Express framework
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getQuotas,
+  setQuota,
+  deleteQuota,
+  getUserQuota
+} = require('../controllers/quotaController');
+const { protect, authorize } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+// Validation rules
+const quotaValidation = [
+  body('scope').isIn(['role', 'department']).withMessage('Scope must be role or department'),
+  body('key').trim().notEmpty().withMessage('Role or department name is required'),
+  body('maxHoursPerWeek').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Weekly hours must be zero or more'),
+  body('maxFutureBookings').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Upcoming bookings limit must be zero or more'),
+  body('maxRecurringSeries').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Recurring series limit must be zero or more'),
+  handleValidationErrors
+];
+
+// All quota configuration is admin-only
+router.use(protect, authorize('admin'));
+
+router.route('/')
+  .get(getQuotas)
+  .put(quotaValidation, setQuota);
+
+router.get('/users/:userId', getUserQuota);
+router.delete('/:id', deleteQuota);
+
+module.exports = router;
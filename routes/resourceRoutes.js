@@ -0,0 +1,57 @@
+const express = require('express'); // Express framework
+const router = express.Router();
+const { body, query } = require('express-validator');
+const {
+  getResources,
+  getResource,
+  createResource,
+  updateResource,
+  deleteResource,
+  getResourceSchedule
+} = require('../controllers/resourceController');
+const { protect, authorize } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+// Validation rules; on update every field is optional
+const resourceValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Resource name is required'),
+    field('quantity').isInt({ min: 0 }).withMessage('Quantity must be zero or more').toInt(),
+    field('location').trim().notEmpty().withMessage('Location is required'),
+    body('type').optional().trim(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean(),
+    handleValidationErrors
+  ];
+};
+
+const availabilityValidation = [
+  query('startTime').optional().isISO8601().withMessage('Valid start time is required'),
+  query('endTime').optional().isISO8601().withMessage('Valid end time is required')
+    .custom((endTime, { req }) => {
+      if (!req.query.startTime || new Date(endTime) <= new Date(req.query.startTime)) {
+        throw new Error('End time must be after start time');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+const scheduleValidation = [
+  query('windowStart').optional().isISO8601().withMessage('Valid window start is required'),
+  query('windowEnd').optional().isISO8601().withMessage('Valid window end is required'),
+  handleValidationErrors
+];
+
+router.route('/')
+  .get(protect, availabilityValidation, getResources)
+  .post(protect, authorize('admin'), resourceValidation(false), createResource);
+
+router.route('/:id')
+  .get(protect, getResource)
+  .put(protect, authorize('admin'), resourceValidation(true), updateResource)
+  .delete(protect, authorize('admin'), deleteResource);
+
+router.get('/:id/schedule', protect, authorize('admin'), scheduleValidation, getResourceSchedule);
+
+module.exports = router;
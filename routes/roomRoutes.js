@@ -1,23 +1,103 @@
 const express = require('express'); // Express framework
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   getRooms,
+  findAvailableRooms,
   getRoom,
   createRoom,
+  updateRoom,
   deleteRoom,
   getRoomAvailability,
+  getRoomPolicy,
   getAllRooms,
-  toggleRoomStatus
+  toggleRoomStatus,
+  generateKioskToken
 } = require('../controllers/roomController');
-const { protect, authorize } = require('../middleware/auth');
+const { kioskCheckIn } = require('../controllers/checkInController');
+const { protect, authorize, protectKiosk } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
+const { TIME_PATTERN, toMinutes } = require('../utils/bookingPolicy');
 
 // Validation rules
+const bookingPolicyValidation = [
+  body('bookingPolicy.hours').optional().isArray().withMessage('Bookable hours must be a list'),
+  body('bookingPolicy.hours.*.day').isInt({ min: 0, max: 6 }).withMessage('Day must be between 0 (Sunday) and 6 (Saturday)'),
+  body('bookingPolicy.hours.*.open').matches(TIME_PATTERN).withMessage('Opening time must be in HH:mm format'),
+  body('bookingPolicy.hours.*.close').matches(TIME_PATTERN).withMessage('Closing time must be in HH:mm format')
+    .custom((close, { req, path }) => {
+      const index = parseInt(path.match(/\[(\d+)\]/)[1], 10);
+      const open = req.body.bookingPolicy.hours[index].open;
+      if (TIME_PATTERN.test(open || '') && toMinutes(open) >= toMinutes(close)) {
+        throw new Error('Closing time must be after opening time');
+      }
+      return true;
+    }),
+  body('bookingPolicy.minDurationMinutes').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Minimum duration must be at least 1 minute'),
+  body('bookingPolicy.maxDurationMinutes').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Maximum duration must be at least 1 minute')
+    .custom((max, { req }) => {
+      const min = req.body.bookingPolicy.minDurationMinutes;
+      if (min && max !== null && parseInt(max, 10) < parseInt(min, 10)) {
+        throw new Error('Maximum duration must not be shorter than the minimum duration');
+      }
+      return true;
+    }),
+  body('bookingPolicy.maxAdvanceDays').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Advance booking window must be at least 1 day'),
+  body('bookingPolicy.minNoticeMinutes').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Minimum notice cannot be negative')
+];
+
+const approvalValidation = [
+  body('requiresApproval').optional().isBoolean().withMessage('requiresApproval must be true or false'),
+  body('approvers').optional().isArray().withMessage('Approvers must be a list of user IDs'),
+  body('approvers.*').isMongoId().withMessage('Approvers must be valid user IDs')
+];
+
 const roomValidation = [
   body('name').trim().notEmpty().withMessage('Room name is required'),
   body('location').trim().notEmpty().withMessage('Location is required'),
   body('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+  body('bufferBeforeMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Setup buffer must be between 0 and 240 minutes'),
+  body('bufferAfterMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Teardown buffer must be between 0 and 240 minutes'),
+  ...bookingPolicyValidation,
+  ...approvalValidation,
+  handleValidationErrors
+];
+
+const roomUpdateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Room name cannot be empty'),
+  body('location').optional().trim().notEmpty().withMessage('Location cannot be empty'),
+  body('capacity').optional().isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+  body('bufferBeforeMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Setup buffer must be between 0 and 240 minutes'),
+  body('bufferAfterMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Teardown buffer must be between 0 and 240 minutes'),
+  body('isActive').not().exists().withMessage('Use PATCH /api/rooms/:id/status to activate or deactivate a room'),
+  ...bookingPolicyValidation,
+  ...approvalValidation,
+  handleValidationErrors
+];
+
+const searchValidation = [
+  query('startTime').optional().isISO8601().withMessage('Start time must be a valid date'),
+  query('endTime').if(query('startTime').exists()).isISO8601().withMessage('End time must be a valid date')
+    .custom((endTime, { req }) => {
+      if (new Date(endTime) <= new Date(req.query.startTime)) {
+        throw new Error('End time must be after start time');
+      }
+      return true;
+    }),
+  query('duration').if(query('startTime').not().exists())
+    .isInt({ min: 1 }).withMessage('Provide startTime and endTime, or a duration in minutes with windowStart and windowEnd'),
+  query('windowStart').if(query('startTime').not().exists()).isISO8601().withMessage('Window start must be a valid date'),
+  query('windowEnd').if(query('startTime').not().exists()).isISO8601().withMessage('Window end must be a valid date')
+    .custom((windowEnd, { req }) => {
+      const windowMinutes = (new Date(windowEnd) - new Date(req.query.windowStart)) / 60000;
+      if (!(windowMinutes >= parseInt(req.query.duration, 10))) {
+        throw new Error('The search window must be at least as long as the duration');
+      }
+      return true;
+    }),
+  query('step').optional().isInt({ min: 5, max: 240 }).withMessage('Step must be between 5 and 240 minutes'),
+  query('attendees').optional().isInt({ min: 1 }).withMessage('Attendees must be at least 1'),
+  query('floor').optional().isInt().withMessage('Floor must be a number'),
   handleValidationErrors
 ];
 
@@ -26,14 +106,22 @@ router.route('/')
   .get(protect, getRooms)
   .post(protect, authorize('admin'), roomValidation, createRoom);
 
+router.get('/search', protect, searchValidation, findAvailableRooms);
+
 router.route('/:id')
   .get(protect, getRoom)
+  .put(protect, authorize('admin'), roomUpdateValidation, updateRoom)
   .delete(protect, authorize('admin'), deleteRoom);
 
 router.get('/:id/availability', protect, getRoomAvailability);
+router.get('/:id/policy', protect, getRoomPolicy);
 
 // Admin-only routes
 router.get('/all', protect, authorize('admin'), getAllRooms);
 router.patch('/:id/status', protect, authorize('admin'), toggleRoomStatus);
+router.post('/:id/kiosk-token', protect, authorize('admin'), generateKioskToken);
+
+// Room kiosk (authenticated by X-Kiosk-Token instead of a user)
+router.post('/:id/kiosk/check-in', protectKiosk, kioskCheckIn);
 
 module.exports = router;
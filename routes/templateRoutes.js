@@ -0,0 +1,45 @@
+const express = require('express'); // Express framework
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../controllers/templateController');
+const { protect } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+// Validation rules; on update every field is optional
+const templateFieldRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Template name is required')
+      .isLength({ max: 100 }).withMessage('Template name cannot be more than 100 characters'),
+    field('room').isMongoId().withMessage('Room is required'),
+    field('title').trim().notEmpty().withMessage('Title is required'),
+    field('durationMinutes').isInt({ min: 1, max: 1440 }).withMessage('Duration must be between 1 and 1440 minutes').toInt(),
+    body('attendees').optional().isArray({ max: 50 }).withMessage('Attendees must be a list of at most 50 people'),
+    body('attendees.*').isMongoId().withMessage('Each attendee must be a user id'),
+    body('externalGuests').optional().isArray({ max: 50 }).withMessage('External guests must be a list of at most 50 people'),
+    body('externalGuests.*.name').trim().notEmpty().withMessage('Each external guest needs a name'),
+    body('externalGuests.*.email').trim().isEmail().withMessage('Each external guest needs a valid email'),
+    body('releaseIfAllDecline').optional().isBoolean().withMessage('releaseIfAllDecline must be true or false').toBoolean(),
+    body('shared').optional().isBoolean().withMessage('shared must be true or false').toBoolean(),
+    handleValidationErrors
+  ];
+};
+
+router.use(protect);
+
+router.route('/')
+  .get(getTemplates)
+  .post(templateFieldRules(false), createTemplate);
+
+router.route('/:id')
+  .get(getTemplate)
+  .put(templateFieldRules(true), updateTemplate)
+  .delete(deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express'); // Express framework
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist
+} = require('../controllers/waitlistController');
+const { protect } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+// Validation rules
+const waitlistValidation = [
+  body('room').notEmpty().withMessage('Room is required'),
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('startTime').isISO8601().withMessage('Valid start time is required'),
+  body('endTime').isISO8601().withMessage('Valid end time is required'),
+  body('endTime').custom((value, { req }) => {
+    if (new Date(value) <= new Date(req.body.startTime)) {
+      throw new Error('End time must be after start time');
+    }
+    return true;
+  }),
+  body('attendees').optional().isArray().withMessage('Attendees must be a list'),
+  body('resources').optional().isArray({ max: 20 }).withMessage('Resources must be a list of at most 20 items'),
+  body('resources.*.resource').isMongoId().withMessage('Each requested resource needs a resource id'),
+  body('resources.*.quantity').optional().isInt({ min: 1 }).withMessage('Resource quantity must be a positive number').toInt(),
+  body('autoBook').optional().isBoolean().withMessage('autoBook must be true or false'),
+  handleValidationErrors
+];
+
+// Routes
+router.get('/my', protect, getMyWaitlist);
+router.post('/', protect, waitlistValidation, joinWaitlist);
+router.post('/:id/accept', protect, acceptOffer);
+router.post('/:id/decline', protect, declineOffer);
+router.delete('/:id', protect, leaveWaitlist);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const http = require('http');
 const socketio = require('socket.io');
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/errorHandler');
+const { startJobs } = require('./jobs');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -12,6 +13,11 @@ const roomRoutes = require('./routes/roomRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const quotaRoutes = require('./routes/quotaRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const resourceRoutes = require('./routes/resourceRoutes');
 
 // Connect to database
 connectDB();
@@ -87,6 +93,11 @@ app.use('/api/rooms', roomRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/quotas', quotaRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/resources', resourceRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -107,7 +118,9 @@ app.get('/', (req, res) => {
       rooms: '/api/rooms',
       bookings: '/api/bookings',
       notifications: '/api/notifications',
-      analytics: '/api/analytics'
+      analytics: '/api/analytics',
+      waitlist: '/api/waitlist',
+      quotas: '/api/quotas'
     }
   });
 });
@@ -179,6 +192,9 @@ const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
+
+  // Background jobs (waitlist offer expiry, hold sweeper, no-show release, booking lifecycle, approval expiry)
+  startJobs({ io });
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,139 @@
+const Booking = require('../models/Booking');
+const RecurrenceGroup = require('../models/RecurrenceGroup');
+const NotificationService = require('./notificationService');
+const HistoryService = require('./historyService');
+const { addRecurrenceException } = require('../utils/bookingHelper');
+
+// How long approvers have to decide before a request is rejected automatically
+const APPROVAL_DEADLINE_HOURS = parseInt(process.env.APPROVAL_DEADLINE_HOURS, 10) || 48;
+
+class ApprovalService {
+
+  // Admins and the room's listed approvers may decide on its requests
+  static isApprover(room, user) {
+    return user.role === 'admin' ||
+      (room.approvers || []).some(id => (id._id || id).toString() === user._id.toString());
+  }
+
+  // Approvers book restricted rooms directly; everyone else needs approval
+  static needsApproval(room, user) {
+    return Boolean(room.requiresApproval) && !ApprovalService.isApprover(room, user);
+  }
+
+  // Undecided requests lapse after the approval window, and never later than the meeting starts
+  static deadlineFor(startTime, now = new Date()) {
+    return new Date(Math.min(now.getTime() + APPROVAL_DEADLINE_HOURS * 60 * 60 * 1000, new Date(startTime).getTime()));
+  }
+
+  // Approve or reject a request; a recurring request is decided for all its pending occurrences
+  // Only bookings still pending are changed, so concurrent decisions never apply twice
+  static async decide(booking, status, decidedBy, reason = '') {
+    const now = new Date();
+    const filter = booking.recurrenceGroup
+      ? { recurrenceGroup: booking.recurrenceGroup, status: 'pending' }
+      : { _id: booking._id, status: 'pending' };
+
+    const pending = await Booking.find(filter).select('_id');
+    const ids = pending.map(b => b._id);
+
+    const update = {
+      status,
+      decidedAt: now,
+      decisionReason: reason,
+      updatedAt: now,
+      $unset: { approvalDeadline: '' }
+    };
+    if (decidedBy) {
+      update.decidedBy = decidedBy._id;
+    }
+
+    await Booking.updateMany({ _id: { $in: ids }, status: 'pending' }, update);
+
+    const decided = await Booking.find({ _id: { $in: ids }, status, decidedAt: now })
+      .populate('room bookedBy attendees')
+      .sort('startTime');
+
+    await HistoryService.recordMany(decided, status === 'confirmed' ? 'approved' : 'rejected', decidedBy, {
+      reason: reason || undefined
+    });
+
+    return decided;
+  }
+
+  static async approve(booking, approver, reason = '') {
+    const approved = await ApprovalService.decide(booking, 'confirmed', approver, reason);
+    if (approved.length === 0) {
+      return approved;
+    }
+
+    await NotificationService.notifyRequesterOfDecision(approved, 'approved', reason);
+
+    // Attendees only hear about the meeting once it is going ahead
+    for (const occurrence of approved) {
+      await NotificationService.notifyAttendeesOfMeeting(occurrence, occurrence.bookedBy);
+    }
+    await NotificationService.emailExternalGuests(approved, approved[0].bookedBy, 'invitation');
+
+    return approved;
+  }
+
+  // decidedBy is null when the request is rejected automatically
+  static async reject(booking, decidedBy, reason) {
+    const rejected = await ApprovalService.decide(booking, 'rejected', decidedBy, reason);
+    if (rejected.length === 0) {
+      return rejected;
+    }
+
+    // Rejected occurrences stop reserving their dates, and a series with nothing left
+    // to run no longer reserves its pattern
+    if (booking.recurrenceGroup) {
+      for (const occurrence of rejected) {
+        await addRecurrenceException(booking.recurrenceGroup, occurrence.startTime);
+      }
+
+      const remaining = await Booking.exists({
+        recurrenceGroup: booking.recurrenceGroup,
+        status: { $nin: ['rejected', 'cancelled'] }
+      });
+      if (!remaining) {
+        await RecurrenceGroup.findByIdAndUpdate(booking.recurrenceGroup, { isActive: false });
+      }
+    }
+
+    // Required here to avoid a circular import (the waitlist books into approval rooms too)
+    const WaitlistService = require('./waitlistService');
+    WaitlistService.processFreedBookings(rejected);
+
+    await NotificationService.notifyRequesterOfDecision(rejected, 'rejected', reason);
+
+    return rejected;
+  }
+
+  // Reject requests nobody decided on before their deadline
+  static async rejectExpired() {
+    try {
+      const expired = await Booking.find({
+        status: 'pending',
+        approvalDeadline: { $lte: new Date() }
+      }).sort('startTime');
+
+      const handledGroups = new Set();
+      for (const booking of expired) {
+        if (booking.recurrenceGroup) {
+          const groupId = booking.recurrenceGroup.toString();
+          if (handledGroups.has(groupId)) continue;
+          handledGroups.add(groupId);
+        }
+
+        await ApprovalService.reject(booking, null, 'Not approved before the approval deadline');
+      }
+
+    } catch (error) {
+      console.error('Error rejecting expired approval requests:', error);
+    }
+  }
+}
+
+ApprovalService.APPROVAL_DEADLINE_HOURS = APPROVAL_DEADLINE_HOURS;
+
+module.exports = ApprovalService;
@@ -0,0 +1,120 @@
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const WaitlistService = require('./waitlistService');
+const HistoryService = require('./historyService');
+const { addRecurrenceException } = require('../utils/bookingHelper');
+
+// Check-in opens this many minutes before a meeting starts
+const CHECKIN_OPEN_MINUTES = parseInt(process.env.CHECKIN_OPEN_MINUTES, 10) || 10;
+// Default grace period after the start before an unclaimed booking is released
+const DEFAULT_GRACE_MINUTES = parseInt(process.env.CHECKIN_GRACE_MINUTES, 10) || 15;
+
+// A booking moves to in_progress once it starts, and can still be checked in to
+const CHECKIN_STATUSES = ['confirmed', 'in_progress'];
+
+class CheckInService {
+
+  // Grace period for a room, in minutes
+  static graceMinutes(room) {
+    return (room && room.checkInGraceMinutes) || DEFAULT_GRACE_MINUTES;
+  }
+
+  // Why a booking cannot be checked in to right now, or null if it can
+  static checkInError(booking, now = new Date()) {
+    if (!CHECKIN_STATUSES.includes(booking.status)) {
+      return 'Only confirmed bookings can be checked in to';
+    }
+    if (booking.checkedInAt) {
+      return 'This booking has already been checked in to';
+    }
+    if (now < new Date(booking.startTime.getTime() - CHECKIN_OPEN_MINUTES * 60 * 1000)) {
+      return `Check-in opens ${CHECKIN_OPEN_MINUTES} minutes before the meeting starts`;
+    }
+    if (now >= booking.endTime) {
+      return 'This meeting has already ended';
+    }
+    return null;
+  }
+
+  // Record a check-in; user is empty for kiosk check-ins
+  static async checkIn(booking, user, method) {
+    booking.checkedInAt = new Date();
+    booking.checkedInBy = user ? user._id : undefined;
+    booking.checkInMethod = method;
+    await booking.save({ validateBeforeSave: false });
+    return booking;
+  }
+
+  // Booking a kiosk should check in to: the one running now or opening for check-in soonest
+  static async findKioskBooking(roomId, now = new Date()) {
+    return Booking.findOne({
+      room: roomId,
+      status: { $in: CHECKIN_STATUSES },
+      checkedInAt: { $exists: false },
+      startTime: { $lte: new Date(now.getTime() + CHECKIN_OPEN_MINUTES * 60 * 1000) },
+      endTime: { $gt: now }
+    }).sort('startTime');
+  }
+
+  // Cancel running bookings nobody checked in to within their room's grace period
+  static async releaseNoShows() {
+    try {
+      const now = new Date();
+      const candidates = await Booking.find({
+        status: { $in: CHECKIN_STATUSES },
+        checkedInAt: { $exists: false },
+        startTime: { $lte: now },
+        endTime: { $gt: now }
+      }).populate('room', 'name requiresCheckIn checkInGraceMinutes');
+
+      const released = [];
+
+      for (const candidate of candidates) {
+        if (!candidate.room || candidate.room.requiresCheckIn !== true) continue;
+
+        const grace = CheckInService.graceMinutes(candidate.room);
+        if (now < new Date(candidate.startTime.getTime() + grace * 60 * 1000)) continue;
+
+        // Only release it if nobody checked in (or cancelled it) since it was found
+        const before = HistoryService.snapshot(candidate);
+        const booking = await Booking.findOneAndUpdate(
+          { _id: candidate._id, status: { $in: CHECKIN_STATUSES }, checkedInAt: { $exists: false } },
+          {
+            status: 'cancelled',
+            noShow: true,
+            cancelledAt: now,
+            cancellationReason: `No-show: nobody checked in within ${grace} minutes of the start`
+          },
+          { new: true }
+        );
+        if (!booking) continue;
+
+        await HistoryService.record(booking, 'cancelled', null, { before, reason: booking.cancellationReason });
+
+        // A released occurrence becomes an exception date so its series no longer blocks the slot
+        if (booking.recurrenceGroup) {
+          await addRecurrenceException(booking.recurrenceGroup, booking.startTime);
+        }
+
+        await Notification.create({
+          user: booking.bookedBy,
+          type: 'no_show',
+          title: 'Booking Released - No Check-in',
+          message: `Your booking "${booking.title}" in ${candidate.room.name} was released because nobody checked in within ${grace} minutes.`,
+          booking: booking._id,
+          room: candidate.room._id
+        });
+
+        released.push({ room: candidate.room._id, startTime: now, endTime: booking.endTime });
+      }
+
+      // The rest of each released slot is free again
+      await WaitlistService.processFreedBookings(released);
+
+    } catch (error) {
+      console.error('Error releasing no-show bookings:', error);
+    }
+  }
+}
+
+module.exports = CheckInService;
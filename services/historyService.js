@@ -0,0 +1,196 @@
+const BookingHistory = require('../models/BookingHistory');
+const Room = require('../models/Room');
+const { BLOCKING_STATUSES, checkOverlapWithRecurring } = require('../utils/bookingHelper');
+const { withRoomLock } = require('../utils/lock');
+
+// Statuses a revert may bring back; the others follow the clock or a hold's expiry
+const RESTORABLE_STATUSES = ['confirmed', 'pending', 'cancelled'];
+
+const idString = (value) => (value ? (value._id || value).toString() : null);
+
+const failure = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class HistoryService {
+
+  // The fields a version records, in plain JSON form so versions compare and store cleanly
+  static snapshot(booking) {
+    return {
+      title: booking.title,
+      description: booking.description || '',
+      room: idString(booking.room),
+      startTime: new Date(booking.startTime).toISOString(),
+      endTime: new Date(booking.endTime).toISOString(),
+      attendees: (booking.attendees || []).map(idString),
+      externalGuests: (booking.externalGuests || []).map(guest => ({ name: guest.name, email: guest.email })),
+      resources: (booking.resources || []).map(entry => ({ resource: idString(entry.resource), quantity: entry.quantity })),
+      status: booking.status,
+      releaseIfAllDecline: Boolean(booking.releaseIfAllDecline),
+      cancellationReason: booking.cancellationReason || ''
+    };
+  }
+
+  // Fields whose value differs between two snapshots (before is null for a new booking)
+  static diff(before, after) {
+    return Object.keys(after)
+      .filter(field => !before || JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({ field, before: before ? before[field] : null, after: after[field] }));
+  }
+
+  // Store the booking's current state as its next version; `before` defaults to the
+  // previous version. A missing history never blocks the change it describes
+  static async record(booking, action, actor = null, { before, reason } = {}) {
+    try {
+      const after = HistoryService.snapshot(booking);
+
+      // Two changes recorded at once may pick the same version; the loser retries
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const last = await BookingHistory.findOne({ booking: booking._id }).sort('-version');
+        const previous = before !== undefined ? before : (last ? last.snapshot : null);
+
+        try {
+          return await BookingHistory.create({
+            booking: booking._id,
+            version: last ? last.version + 1 : 1,
+            action,
+            actor: actor ? actor._id : undefined,
+            reason,
+            changes: HistoryService.diff(previous, after),
+            snapshot: after
+          });
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+        }
+      }
+
+    } catch (error) {
+      console.error('Error recording booking history:', error);
+    }
+  }
+
+  static async recordMany(bookings, action, actor = null, options = {}) {
+    for (const booking of bookings) {
+      await HistoryService.record(booking, action, actor, options);
+    }
+  }
+
+  static async getHistory(bookingId) {
+    return BookingHistory.find({ booking: bookingId })
+      .populate('actor', 'name email')
+      .sort('version');
+  }
+
+  // Restore a booking to an earlier version, as long as the meeting is still ahead,
+  // its room can take it and the restored slot is free
+  static async revert(booking, version, admin, reason = '') {
+    // Required here to avoid circular imports (both services record history)
+    const ApprovalService = require('./approvalService');
+    const WaitlistService = require('./waitlistService');
+    const ResourceService = require('./resourceService');
+
+    // Each room of a multi-room event keeps the event's time and state
+    if (booking.linkedEvent) {
+      throw failure('This booking is part of a multi-room event. Reschedule or cancel the event instead.', 400);
+    }
+
+    const entry = await BookingHistory.findOne({ booking: booking._id, version });
+    if (!entry) {
+      throw failure(`Version ${version} of this booking was not found`, 404);
+    }
+
+    const target = entry.snapshot;
+    const now = new Date();
+
+    if (!RESTORABLE_STATUSES.includes(target.status)) {
+      throw failure(`Version ${version} is ${target.status} and cannot be restored`, 400);
+    }
+    if (['in_progress', 'completed'].includes(booking.status) || booking.startTime <= now) {
+      throw failure('Bookings that have already started cannot be reverted', 400);
+    }
+    if (new Date(target.startTime) <= now) {
+      throw failure(`Version ${version} starts in the past and cannot be restored`, 400);
+    }
+
+    const room = await Room.findById(target.room);
+    if (!room || !room.isActive) {
+      throw failure(`The room of version ${version} is no longer available`, 400);
+    }
+    if (target.attendees.length + target.externalGuests.length > room.capacity) {
+      throw failure(`Too many attendees. Room capacity is ${room.capacity} people.`, 400);
+    }
+
+    const before = HistoryService.snapshot(booking);
+    const previousSlot = { room: booking.room, startTime: booking.startTime, endTime: booking.endTime };
+    const wasBlocking = BLOCKING_STATUSES.includes(booking.status);
+
+    // Versions recorded before resources were tracked keep the booking's current ones
+    const resources = target.resources || before.resources;
+    const resourceIds = [...before.resources, ...resources].map(entry => entry.resource);
+
+    await withRoomLock([room._id], async () => {
+      const startTime = new Date(target.startTime);
+      const endTime = new Date(target.endTime);
+
+      // The booking's own series pattern is not a conflict
+      if (target.status !== 'cancelled' &&
+          await checkOverlapWithRecurring(room._id, startTime, endTime, booking._id, booking.recurrenceGroup)) {
+        throw failure(`The slot of version ${version} has been booked since`, 409);
+      }
+
+      if (target.status !== 'cancelled') {
+        const resourceErrors = await ResourceService.checkAvailability(resources, [{ startTime, endTime }], {
+          excludeBookingId: booking._id
+        });
+        if (resourceErrors.length > 0) {
+          throw failure(`The resources of version ${version} are no longer available: ${resourceErrors.map(error => error.message).join('; ')}`, 409);
+        }
+      }
+
+      booking.title = target.title;
+      booking.description = target.description;
+      booking.room = room._id;
+      booking.startTime = startTime;
+      booking.endTime = endTime;
+      booking.attendees = target.attendees;
+      booking.externalGuests = target.externalGuests;
+      booking.resources = resources;
+      booking.releaseIfAllDecline = target.releaseIfAllDecline;
+      booking.status = target.status;
+      booking.cancellationReason = target.cancellationReason;
+
+      if (target.status === 'cancelled') {
+        booking.cancelledBy = booking.cancelledBy || admin._id;
+        booking.cancelledAt = booking.cancelledAt || now;
+      } else {
+        booking.cancelledBy = undefined;
+        booking.cancelledAt = undefined;
+      }
+      booking.approvalDeadline = target.status === 'pending' ? ApprovalService.deadlineFor(startTime) : undefined;
+
+      await booking.save();
+    }, { resourceIds });
+
+    await HistoryService.record(booking, 'reverted', admin, {
+      before,
+      reason: reason ? `Reverted to version ${version}: ${reason}` : `Reverted to version ${version}`
+    });
+
+    // Offer whatever the old state occupied and the restored one does not
+    const stillThere = booking.status !== 'cancelled' &&
+      idString(previousSlot.room) === idString(booking.room) &&
+      previousSlot.startTime.getTime() === booking.startTime.getTime() &&
+      previousSlot.endTime.getTime() === booking.endTime.getTime();
+    if (wasBlocking && !stillThere) {
+      WaitlistService.processFreedBookings([previousSlot]);
+    }
+
+    return booking;
+  }
+}
+
+HistoryService.RESTORABLE_STATUSES = RESTORABLE_STATUSES;
+
+module.exports = HistoryService;
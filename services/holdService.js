@@ -0,0 +1,97 @@
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const WaitlistService = require('./waitlistService');
+const HistoryService = require('./historyService');
+const { withRoomLock } = require('../utils/lock');
+
+// Hold lengths in minutes
+const DEFAULT_HOLD_MINUTES = parseInt(process.env.HOLD_DEFAULT_MINUTES, 10) || 15;
+const MAX_HOLD_MINUTES = parseInt(process.env.HOLD_MAX_MINUTES, 10) || 60;
+const REMINDER_MINUTES = parseInt(process.env.HOLD_REMINDER_MINUTES, 10) || 5;
+
+class HoldService {
+
+  // Warn holders shortly before their hold lapses
+  static async sendExpiryReminders() {
+    try {
+      const now = new Date();
+      const soon = new Date(now.getTime() + REMINDER_MINUTES * 60 * 1000);
+
+      const expiring = await Booking.find({
+        status: 'held',
+        holdExpiresAt: { $gt: now, $lte: soon },
+        holdReminderSentAt: { $exists: false }
+      }).populate('room', 'name');
+
+      for (const booking of expiring) {
+        await Notification.create({
+          user: booking.bookedBy,
+          type: 'hold_expiring',
+          title: 'Room Hold Expiring',
+          message: `Your hold on ${booking.room.name} for "${booking.title}" expires at ${booking.holdExpiresAt.toLocaleTimeString()}. Confirm it to keep the room.`,
+          booking: booking._id,
+          room: booking.room._id
+        });
+
+        booking.holdReminderSentAt = now;
+        await booking.save({ validateBeforeSave: false });
+      }
+
+    } catch (error) {
+      console.error('Error sending hold reminders:', error);
+    }
+  }
+
+  // Release holds that were not confirmed in time
+  static async releaseExpiredHolds() {
+    try {
+      const now = new Date();
+      const expired = await Booking.find({
+        status: 'held',
+        holdExpiresAt: { $lte: now }
+      }).populate('room', 'name');
+
+      const released = [];
+      for (const hold of expired) {
+        // Under the room's lock, so a confirmation in flight either wins or sees the hold gone;
+        // a hold whose room is busy is released on the next run
+        let booking;
+        try {
+          booking = await withRoomLock([hold.room._id], () => Booking.findOneAndUpdate(
+            { _id: hold._id, status: 'held', holdExpiresAt: { $lte: now } },
+            { status: 'cancelled', cancelledAt: now, cancellationReason: 'Hold expired without confirmation' },
+            { new: true }
+          ));
+        } catch (error) {
+          if (error.statusCode !== 409) throw error;
+        }
+        if (!booking) continue;
+
+        await HistoryService.record(booking, 'cancelled', null, {
+          before: HistoryService.snapshot(hold),
+          reason: booking.cancellationReason
+        });
+
+        await Notification.create({
+          user: booking.bookedBy,
+          type: 'hold_expired',
+          title: 'Room Hold Released',
+          message: `Your hold on ${hold.room.name} for "${booking.title}" has expired and the room has been released.`,
+          booking: booking._id,
+          room: hold.room._id
+        });
+        released.push(booking);
+      }
+
+      await WaitlistService.processFreedBookings(released);
+
+    } catch (error) {
+      console.error('Error releasing expired holds:', error);
+    }
+  }
+}
+
+HoldService.DEFAULT_HOLD_MINUTES = DEFAULT_HOLD_MINUTES;
+HoldService.MAX_HOLD_MINUTES = MAX_HOLD_MINUTES;
+
+module.exports = HoldService;
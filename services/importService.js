@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const ApprovalService = require('./approvalService');
+const QuotaService = require('./quotaService');
+const { checkOverlapWithRecurring } = require('../utils/bookingHelper');
+const { resolvePolicy, checkBookingPolicy } = require('../utils/bookingPolicy');
+
+// Largest import accepted in one request
+const MAX_IMPORT_ROWS = 500;
+
+// Accepted column names (compared lowercased) for each booking field
+const COLUMN_ALIASES = {
+  room: ['room', 'roomid', 'roomname'],
+  title: ['title'],
+  description: ['description'],
+  startTime: ['starttime', 'start'],
+  endTime: ['endtime', 'end'],
+  attendees: ['attendees', 'attendeeemails', 'emails']
+};
+
+const rowError = (field, message) => ({ field, message });
+
+const overlaps = (a, b, padding) =>
+  a.startTime.getTime() < b.endTime.getTime() + padding &&
+  a.endTime.getTime() > b.startTime.getTime() - padding;
+
+const turnaroundOf = (room) => ((room.bufferBeforeMinutes || 0) + (room.bufferAfterMinutes || 0)) * 60 * 1000;
+
+class ImportService {
+
+  // Parse CSV text (header row first; quoted fields may hold commas, quotes and line breaks)
+  static parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    record.push(field);
+    records.push(record);
+
+    const [header = [], ...lines] = records.filter(r => r.some(value => value.trim() !== ''));
+    const columns = header.map(name => name.trim());
+    return lines.map(values => Object.fromEntries(columns.map((name, i) => [name, (values[i] || '').trim()])));
+  }
+
+  // Map a raw row's columns onto booking fields; attendee emails may be a list or a
+  // string separated by semicolons, commas or spaces
+  static normalizeRow(raw) {
+    const byColumn = Object.fromEntries(
+      Object.entries(raw || {}).map(([name, value]) => [name.replace(/[\s_-]/g, '').toLowerCase(), value])
+    );
+    const pick = (field) => {
+      const column = COLUMN_ALIASES[field].find(alias => byColumn[alias] !== undefined && byColumn[alias] !== '');
+      return column ? byColumn[column] : undefined;
+    };
+
+    const attendees = pick('attendees');
+    const emails = Array.isArray(attendees) ? attendees : String(attendees || '').split(/[;,\s]+/);
+
+    return {
+      room: pick('room') !== undefined ? String(pick('room')).trim() : '',
+      title: pick('title') !== undefined ? String(pick('title')).trim() : '',
+      description: pick('description') !== undefined ? String(pick('description')).trim() : undefined,
+      startTime: pick('startTime'),
+      endTime: pick('endTime'),
+      attendees: [...new Set(emails.map(email => String(email).trim().toLowerCase()).filter(Boolean))]
+    };
+  }
+
+  // Check every row against rooms, users, capacity, policy and existing bookings, then
+  // the rows against each other and the importer's quota. Returns a per-row report;
+  // `valid` is true only if every row can be booked
+  static async validate(rawRows, user) {
+    const rows = rawRows.map(raw => ImportService.normalizeRow(raw));
+    const isAdmin = user.role === 'admin';
+    const now = new Date();
+
+    const rooms = await Room.find({});
+    const roomsById = new Map(rooms.map(room => [room._id.toString(), room]));
+    const roomsByName = new Map(rooms.map(room => [room.name.trim().toLowerCase(), room]));
+
+    const emails = [...new Set(rows.flatMap(row => row.attendees))];
+    const users = await User.find({ email: { $in: emails } }).select('name email');
+    const usersByEmail = new Map(users.map(u => [u.email.toLowerCase(), u]));
+
+    const entries = [];
+    for (const [index, row] of rows.entries()) {
+      const errors = [];
+      const entry = { row: index + 1, errors };
+
+      const room = (mongoose.Types.ObjectId.isValid(row.room) && roomsById.get(row.room)) ||
+        roomsByName.get(row.room.toLowerCase());
+      if (!row.room) {
+        errors.push(rowError('room', 'Room is required'));
+      } else if (!room) {
+        errors.push(rowError('room', `No room named or with id "${row.room}"`));
+      } else if (!room.isActive) {
+        errors.push(rowError('room', `${room.name} is not available for booking`));
+      }
+
+      if (!row.title) {
+        errors.push(rowError('title', 'Title is required'));
+      }
+
+      const startTime = new Date(row.startTime);
+      const endTime = new Date(row.endTime);
+      const validTimes = !isNaN(startTime) && !isNaN(endTime) && endTime > startTime;
+      if (isNaN(startTime)) {
+        errors.push(rowError('startTime', 'Valid start time is required'));
+      }
+      if (isNaN(endTime)) {
+        errors.push(rowError('endTime', 'Valid end time is required'));
+      } else if (!isNaN(startTime) && endTime <= startTime) {
+        errors.push(rowError('endTime', 'End time must be after start time'));
+      } else if (isAdmin && startTime <= now) {
+        errors.push(rowError('startTime', 'Bookings cannot start in the past'));
+      }
+
+      const unknown = row.attendees.filter(email => !usersByEmail.has(email));
+      if (row.attendees.length === 0) {
+        errors.push(rowError('attendees', 'At least one attendee is required'));
+      } else if (unknown.length > 0) {
+        errors.push(rowError('attendees', `No user with email ${unknown.join(', ')}`));
+      }
+
+      if (room && room.isActive) {
+        if (row.attendees.length > room.capacity) {
+          errors.push(rowError('attendees', `Too many attendees. ${room.name} seats ${room.capacity} people, but ${row.attendees.length} were listed.`));
+        }
+
+        if (validTimes) {
+          if (!isAdmin) {
+            errors.push(...checkBookingPolicy(resolvePolicy(room), startTime, endTime, { now }));
+          }
+          if (await checkOverlapWithRecurring(room._id, startTime, endTime)) {
+            errors.push(rowError('startTime', `${room.name} is already booked for this time slot`));
+          }
+
+          entry.room = room;
+          entry.startTime = startTime;
+          entry.endTime = endTime;
+        }
+      }
+
+      if (errors.length === 0) {
+        const needsApproval = ApprovalService.needsApproval(room, user);
+        entry.booking = new Booking({
+          room: room._id,
+          bookedBy: user._id,
+          title: row.title,
+          description: row.description,
+          startTime,
+          endTime,
+          attendees: row.attendees.map(email => usersByEmail.get(email)._id),
+          status: needsApproval ? 'pending' : 'confirmed',
+          approvalDeadline: needsApproval ? ApprovalService.deadlineFor(startTime, now) : undefined
+        });
+
+        const invalid = entry.booking.validateSync();
+        if (invalid) {
+          errors.push(...Object.values(invalid.errors).map(e => rowError(e.path, e.message)));
+        }
+      }
+
+      entries.push(entry);
+    }
+
+    // Rows may not overlap each other in the same room (buffers included)
+    const timed = entries.filter(entry => entry.room).sort((a, b) => a.startTime - b.startTime);
+    for (const [i, entry] of timed.entries()) {
+      const clash = timed.slice(0, i).find(other =>
+        other.room._id.equals(entry.room._id) && overlaps(entry, other, turnaroundOf(entry.room))
+      );
+      if (clash) {
+        entry.errors.push(rowError('startTime', `Overlaps row ${clash.row} in ${entry.room.name}`));
+      }
+    }
+
+    const bookable = entries.filter(entry => entry.errors.length === 0);
+    const errors = bookable.length > 0
+      ? await QuotaService.checkBooking(user, bookable.map(({ startTime, endTime }) => ({ startTime, endTime })))
+      : [];
+
+    return {
+      valid: errors.length === 0 && bookable.length === entries.length,
+      errors,
+      entries
+    };
+  }
+
+  // The report sent back for each row
+  static describe(entry) {
+    const booking = entry.errors.length === 0 ? entry.booking : null;
+    return {
+      row: entry.row,
+      status: booking ? 'valid' : 'invalid',
+      errors: entry.errors,
+      booking: booking ? {
+        _id: booking.isNew ? undefined : booking._id,
+        room: { _id: entry.room._id, name: entry.room.name },
+        title: booking.title,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        attendees: booking.attendees.length,
+        status: booking.status
+      } : null
+    };
+  }
+
+  // Save every validated booking, or none: slots taken since validation stop the
+  // import, and a failed save removes whatever was already saved. Call under the rooms' lock
+  static async commit(entries) {
+    for (const entry of entries) {
+      if (await checkOverlapWithRecurring(entry.room._id, entry.startTime, entry.endTime)) {
+        entry.errors.push(rowError('startTime', `${entry.room.name} has been booked for this time slot since the import was checked`));
+      }
+    }
+    if (entries.some(entry => entry.errors.length > 0)) {
+      return null;
+    }
+
+    const saved = [];
+    try {
+      for (const entry of entries) {
+        saved.push(await entry.booking.save());
+      }
+    } catch (error) {
+      await Booking.deleteMany({ _id: { $in: saved.map(booking => booking._id) } });
+      throw error;
+    }
+
+    return saved;
+  }
+}
+
+ImportService.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+
+module.exports = ImportService;
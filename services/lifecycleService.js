@@ -0,0 +1,51 @@
+const Booking = require('../models/Booking');
+const { emitBookingUpdate } = require('../utils/realtime');
+
+class LifecycleService {
+
+  // Move started bookings to in_progress and ended ones to completed
+  // Each transition is a conditional update, so overlapping runs never apply it twice
+  static async advanceBookings(io) {
+    try {
+      const now = new Date();
+
+      const started = await Booking.find({
+        status: 'confirmed',
+        startTime: { $lte: now },
+        endTime: { $gt: now }
+      }).select('_id');
+
+      for (const { _id } of started) {
+        const booking = await Booking.findOneAndUpdate(
+          { _id, status: 'confirmed' },
+          { status: 'in_progress', updatedAt: now },
+          { new: true }
+        );
+        if (booking) {
+          emitBookingUpdate(io, booking, 'started');
+        }
+      }
+
+      const ended = await Booking.find({
+        status: { $in: ['confirmed', 'in_progress'] },
+        endTime: { $lte: now }
+      }).select('_id');
+
+      for (const { _id } of ended) {
+        const booking = await Booking.findOneAndUpdate(
+          { _id, status: { $in: ['confirmed', 'in_progress'] } },
+          { status: 'completed', updatedAt: now },
+          { new: true }
+        );
+        if (booking) {
+          emitBookingUpdate(io, booking, 'completed');
+        }
+      }
+
+    } catch (error) {
+      console.error('Error advancing booking lifecycle:', error);
+    }
+  }
+}
+
+module.exports = LifecycleService;
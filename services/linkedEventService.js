@@ -0,0 +1,232 @@
+const Booking = require('../models/Booking');
+const LinkedEvent = require('../models/LinkedEvent');
+const Room = require('../models/Room');
+const ApprovalService = require('./approvalService');
+const QuotaService = require('./quotaService');
+const HistoryService = require('./historyService');
+const WaitlistService = require('./waitlistService');
+const ResourceService = require('./resourceService');
+const { BLOCKING_STATUSES, checkOverlapWithRecurring } = require('../utils/bookingHelper');
+const { resolvePolicy, checkBookingPolicy } = require('../utils/bookingPolicy');
+const { withRoomLock } = require('../utils/lock');
+
+// Rooms one event may span
+const MAX_EVENT_ROOMS = 10;
+
+// `details` (field errors, conflicting rooms) is sent back alongside the message
+const failure = (message, statusCode, details = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+class LinkedEventService {
+
+  // Load the rooms (main room first) and check they can all hold the event:
+  // active, no approval needed, enough seats between them and within each room's policy
+  static async loadRooms(roomIds, user, startTime, endTime, headcount, { overridePolicy = false } = {}) {
+    const rooms = await Room.find({ _id: { $in: roomIds } });
+    const ordered = roomIds.map(id => rooms.find(room => room._id.toString() === id.toString()));
+
+    const missing = roomIds.filter((id, i) => !ordered[i] || !ordered[i].isActive);
+    if (missing.length > 0) {
+      throw failure(`Rooms not found or not available: ${missing.join(', ')}`, 404);
+    }
+
+    // Approval is per booking, so one room's rejection would split the event
+    const restricted = ordered.filter(room => ApprovalService.needsApproval(room, user));
+    if (restricted.length > 0) {
+      throw failure(`${restricted.map(room => room.name).join(', ')} require approval and cannot be part of a multi-room event`, 400);
+    }
+
+    const seats = ordered.reduce((total, room) => total + room.capacity, 0);
+    if (headcount > seats) {
+      throw failure(`Too many attendees. The selected rooms seat ${seats} people, but ${headcount} attendees and guests were selected.`, 400);
+    }
+
+    if (!(user.role === 'admin' && overridePolicy)) {
+      const errors = ordered.flatMap(room =>
+        checkBookingPolicy(resolvePolicy(room), startTime, endTime).map(error => ({ ...error, room: room.name }))
+      );
+      if (errors.length > 0) {
+        throw failure('The event does not meet the booking policy of every room', 400, { errors });
+      }
+    }
+
+    return ordered;
+  }
+
+  // Rooms that are busy for the slot; call under the rooms' lock
+  static async findBusyRooms(rooms, startTime, endTime, excludeBookingIds = null) {
+    const busy = [];
+    for (const room of rooms) {
+      if (await checkOverlapWithRecurring(room._id, startTime, endTime, excludeBookingIds)) {
+        busy.push({ _id: room._id, name: room.name });
+      }
+    }
+    return busy;
+  }
+
+  static async create({ roomIds, title, description, startTime, endTime, attendees, externalGuests, overridePolicy }, user) {
+    const rooms = await LinkedEventService.loadRooms(
+      roomIds, user, startTime, endTime, attendees.length + externalGuests.length, { overridePolicy }
+    );
+
+    // Every room's booking counts toward the organizer's quota, as it will once booked
+    const quotaErrors = await QuotaService.checkBooking(user, rooms.map(() => ({ startTime, endTime })));
+    if (quotaErrors.length > 0) {
+      throw failure('Booking quota exceeded', 403, { errors: quotaErrors });
+    }
+
+    return withRoomLock(rooms.map(room => room._id), async () => {
+      const busy = await LinkedEventService.findBusyRooms(rooms, startTime, endTime);
+      if (busy.length > 0) {
+        throw failure(`Not all rooms are free for this time: ${busy.map(room => room.name).join(', ')} already booked`, 400, { conflicts: busy });
+      }
+
+      const event = await LinkedEvent.create({
+        organizer: user._id,
+        title,
+        description,
+        mainRoom: rooms[0]._id,
+        rooms: rooms.map(room => room._id),
+        startTime,
+        endTime
+      });
+
+      // Attendees and guests are on the main room's booking; the overflow rooms are booked by the organizer
+      const bookings = [];
+      try {
+        for (const [index, room] of rooms.entries()) {
+          bookings.push(await Booking.create({
+            room: room._id,
+            bookedBy: user._id,
+            title,
+            description,
+            startTime,
+            endTime,
+            attendees: index === 0 ? attendees : [user._id],
+            externalGuests: index === 0 ? externalGuests : [],
+            linkedEvent: event._id,
+            policyOverridden: user.role === 'admin' && overridePolicy === true,
+            status: 'confirmed'
+          }));
+        }
+      } catch (error) {
+        await Booking.deleteMany({ _id: { $in: bookings.map(booking => booking._id) } });
+        await event.deleteOne();
+        throw error;
+      }
+
+      await HistoryService.recordMany(bookings, 'created', user, { reason: `Multi-room event "${title}"` });
+      return { event, bookings };
+    });
+  }
+
+  // The event's bookings that still hold their rooms
+  static async activeBookings(event) {
+    return Booking.find({ linkedEvent: event._id, status: { $in: BLOCKING_STATUSES } });
+  }
+
+  // Move every room's booking to a new time, or none of them
+  static async reschedule(event, startTime, endTime, user, { overridePolicy = false } = {}) {
+    if (event.status === 'cancelled') {
+      throw failure('This event has been cancelled', 400);
+    }
+
+    const bookings = await LinkedEventService.activeBookings(event);
+    if (bookings.length === 0) {
+      throw failure('This event has no bookings left to reschedule', 400);
+    }
+    if (bookings.some(booking => booking.status === 'in_progress' || booking.startTime <= new Date())) {
+      throw failure('Events that have already started cannot be rescheduled', 400);
+    }
+
+    const main = bookings.find(booking => booking.room.equals(event.mainRoom)) || bookings[0];
+    const headcount = main ? main.attendees.length + main.externalGuests.length : 0;
+    const rooms = await LinkedEventService.loadRooms(
+      bookings.map(booking => booking.room), user, startTime, endTime, headcount, { overridePolicy }
+    );
+
+    const previousSlots = bookings.map(booking => ({ room: booking.room, startTime: booking.startTime, endTime: booking.endTime }));
+    const bookingIds = bookings.map(booking => booking._id);
+    // The rooms' equipment moves together, so it is checked as one request
+    const resources = bookings.flatMap(booking => booking.resources);
+
+    await withRoomLock(rooms.map(room => room._id), async () => {
+      // The event's own bookings are not in its way
+      const busy = await LinkedEventService.findBusyRooms(rooms, startTime, endTime, bookingIds);
+      if (busy.length > 0) {
+        throw failure(`Not all rooms are free for the new time: ${busy.map(room => room.name).join(', ')} already booked`, 400, { conflicts: busy });
+      }
+
+      const resourceErrors = await ResourceService.checkAvailability(resources, [{ startTime, endTime }], { excludeBookingId: bookingIds });
+      if (resourceErrors.length > 0) {
+        throw failure('Requested resources are not available', 400, { errors: resourceErrors });
+      }
+
+      for (const booking of bookings) {
+        const before = HistoryService.snapshot(booking);
+        booking.startTime = startTime;
+        booking.endTime = endTime;
+        booking.responses = []; // Attendees respond again to the new time
+        await booking.save();
+        await HistoryService.record(booking, 'updated', user, { before, reason: `Multi-room event "${event.title}" rescheduled` });
+      }
+
+      event.startTime = startTime;
+      event.endTime = endTime;
+      await event.save();
+    }, { resourceIds: resources.map(request => request.resource) });
+
+    WaitlistService.processFreedBookings(previousSlots);
+    return { event, bookings };
+  }
+
+  // Cancel every room's booking and the event; user is empty when the system cancels it.
+  // heldRoomIds are rooms the caller has already locked
+  static async cancel(event, user, reason = '', { heldRoomIds = [] } = {}) {
+    if (event.status === 'cancelled') {
+      throw failure('This event has already been cancelled', 400);
+    }
+
+    const held = heldRoomIds.map(id => id.toString());
+    const roomIds = event.rooms.filter(id => !held.includes(id.toString()));
+
+    const bookings = await withRoomLock(roomIds, async () => {
+      const active = await LinkedEventService.activeBookings(event);
+      for (const booking of active) {
+        const before = HistoryService.snapshot(booking);
+        booking.status = 'cancelled';
+        booking.cancelledBy = user ? user._id : undefined;
+        booking.cancelledAt = Date.now();
+        booking.cancellationReason = reason;
+        await booking.save({ validateBeforeSave: false });
+        await HistoryService.record(booking, 'cancelled', user, { before, reason: reason || undefined });
+      }
+
+      event.status = 'cancelled';
+      await event.save();
+      return active;
+    });
+
+    // Offer the freed slots to the waitlist (async, don't wait)
+    WaitlistService.processFreedBookings(bookings);
+    return { event, bookings };
+  }
+
+  // Keep the event's rooms in step when one of its bookings is moved to another room
+  static async replaceRoom(eventId, fromRoomId, toRoomId) {
+    await LinkedEvent.updateOne(
+      { _id: eventId },
+      { $set: { 'rooms.$[room]': toRoomId } },
+      { arrayFilters: [{ room: fromRoomId }] }
+    );
+    await LinkedEvent.updateOne({ _id: eventId, mainRoom: fromRoomId }, { mainRoom: toRoomId });
+  }
+}
+
+LinkedEventService.MAX_EVENT_ROOMS = MAX_EVENT_ROOMS;
+
+module.exports = LinkedEventService;
@@ -1,6 +1,17 @@
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const { sendEmail, guestMeetingEmail } = require('../utils/emailService');
+
+const GUEST_EMAIL_SUBJECTS = {
+  invitation: 'Meeting Invitation',
+  rescheduled: 'Meeting Rescheduled',
+  updated: 'Meeting Updated',
+  moved: 'Meeting Moved to Another Room',
+  cancelled: 'Meeting Cancelled',
+  removed: 'Meeting Invitation Withdrawn'
+};
 
 class NotificationService {
   
@@ -71,8 +82,8 @@ class NotificationService {
       const notifications = [];
       
       for (const attendeeId of booking.attendees) {
-        // Don't notify the organizer
-        if (attendeeId.toString() === organizer._id.toString()) {
+        // Don't notify the organizer (attendees may be populated)
+        if ((attendeeId._id || attendeeId).toString() === organizer._id.toString()) {
           continue;
         }
         
@@ -98,6 +109,8 @@ class NotificationService {
   // Notify attendees about meeting updates
   static async notifyAttendeesOfMeetingUpdate(booking, organizer, updateType = 'updated') {
     try {
+      await NotificationService.emailExternalGuests([booking], organizer, updateType);
+
       if (!booking.attendees || booking.attendees.length === 0) {
         return;
       }
@@ -124,8 +137,8 @@ class NotificationService {
       }
       
       for (const attendeeId of booking.attendees) {
-        // Don't notify the organizer
-        if (attendeeId.toString() === organizer._id.toString()) {
+        // Don't notify the organizer (attendees may be populated)
+        if ((attendeeId._id || attendeeId).toString() === organizer._id.toString()) {
           continue;
         }
         
@@ -148,6 +161,60 @@ class NotificationService {
     }
   }
   
+  // Notify each attendee once about a change to several occurrences of a recurring meeting
+  static async notifyAttendeesOfSeriesUpdate(bookings, organizer, updateType = 'updated', previousAttendees = []) {
+    try {
+      if (!bookings || bookings.length === 0) {
+        return;
+      }
+      
+      await NotificationService.emailExternalGuests(bookings, organizer, updateType);
+      
+      const sorted = [...bookings].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+      const first = sorted[0];
+      const occurrences = sorted.length === 1
+        ? `on ${new Date(first.startTime).toLocaleString()}`
+        : `(${sorted.length} occurrences from ${new Date(first.startTime).toLocaleDateString()})`;
+      
+      let title, message;
+      
+      switch (updateType) {
+        case 'cancelled':
+          title = 'Recurring Meeting Cancelled';
+          message = `The recurring meeting "${first.title}" organized by ${organizer.name} has been cancelled ${occurrences}.`;
+          break;
+        default:
+          title = 'Recurring Meeting Updated';
+          message = `The recurring meeting "${first.title}" organized by ${organizer.name} has been updated ${occurrences}.`;
+      }
+      
+      // Current and removed attendees across all affected occurrences, each notified once
+      const recipients = new Set(previousAttendees.map(id => id.toString()));
+      for (const booking of sorted) {
+        for (const attendee of booking.attendees || []) {
+          recipients.add((attendee._id || attendee).toString());
+        }
+      }
+      recipients.delete(organizer._id.toString());
+      
+      const notifications = [...recipients].map(userId => ({
+        user: userId,
+        type: 'booking_updated',
+        title,
+        message,
+        booking: first._id,
+        room: first.room._id || first.room
+      }));
+      
+      if (notifications.length > 0) {
+        await Notification.insertMany(notifications);
+      }
+      
+    } catch (error) {
+      console.error('Error notifying attendees of series update:', error);
+    }
+  }
+  
   // Notify user about their booking status
   static async notifyUserOfBookingStatus(userId, booking, status, additionalMessage = '') {
     try {
@@ -235,6 +302,112 @@ class NotificationService {
     }
   }
   
+  // Ask a room's approvers (all admins if it has none) to decide on a booking request
+  static async notifyApproversOfRequest(booking, room, requester, occurrenceCount = 1) {
+    try {
+      let approverIds = room.approvers || [];
+      if (approverIds.length === 0) {
+        const admins = await User.find({ role: 'admin' }).select('_id');
+        approverIds = admins.map(admin => admin._id);
+      }
+
+      const series = occurrenceCount > 1 ? ` (${occurrenceCount} occurrences)` : '';
+      const notifications = approverIds
+        .filter(id => (id._id || id).toString() !== requester._id.toString())
+        .map(id => ({
+          user: id,
+          type: 'approval_requested',
+          title: 'Booking Approval Needed',
+          message: `${requester.name} requested ${room.name} for "${booking.title}" on ${new Date(booking.startTime).toLocaleString()}${series}. Please approve or reject it by ${new Date(booking.approvalDeadline).toLocaleString()}.`,
+          booking: booking._id,
+          room: room._id
+        }));
+
+      if (notifications.length > 0) {
+        await Notification.insertMany(notifications);
+      }
+
+    } catch (error) {
+      console.error('Error notifying approvers:', error);
+    }
+  }
+
+  // Tell the requester whether their booking request was approved or rejected
+  static async notifyRequesterOfDecision(bookings, decision, reason = '') {
+    try {
+      const [booking] = bookings;
+      const series = bookings.length > 1 ? ` (${bookings.length} occurrences)` : '';
+      const approved = decision === 'approved';
+
+      await Notification.create({
+        user: booking.bookedBy._id || booking.bookedBy,
+        type: approved ? 'booking_approved' : 'booking_rejected',
+        title: approved ? 'Booking Approved' : 'Booking Rejected',
+        message: `Your request for ${booking.room.name || 'the room'} ("${booking.title}", ${new Date(booking.startTime).toLocaleString()}${series}) has been ${decision}.${reason ? ` Reason: ${reason}` : ''}`,
+        booking: booking._id,
+        room: booking.room._id || booking.room
+      });
+
+    } catch (error) {
+      console.error('Error notifying requester of decision:', error);
+    }
+  }
+  
+  // Email external guests about a meeting (or several occurrences of a series, once each);
+  // guests defaults to everyone invited to any of the bookings
+  static async emailExternalGuests(bookings, organizer, kind, guests = null) {
+    try {
+      if (!process.env.EMAIL_USER || !bookings || bookings.length === 0) {
+        return;
+      }
+
+      const recipients = new Map();
+      for (const guest of guests || bookings.flatMap(b => b.externalGuests || [])) {
+        recipients.set(guest.email.toLowerCase(), guest);
+      }
+      if (recipients.size === 0) {
+        return;
+      }
+
+      const [first] = [...bookings].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+      const room = first.room && first.room.name ? first.room : await Room.findById(first.room);
+      const host = organizer && organizer.name ? organizer : await User.findById(first.bookedBy);
+      if (!room || !host) {
+        return;
+      }
+
+      for (const guest of recipients.values()) {
+        sendEmail({
+          email: guest.email,
+          subject: `${GUEST_EMAIL_SUBJECTS[kind] || GUEST_EMAIL_SUBJECTS.updated} - Room Booking Lite`,
+          html: guestMeetingEmail(first, room, host, guest, kind, bookings.length)
+        }).catch(err => console.error('Email error:', err));
+      }
+
+    } catch (error) {
+      console.error('Error emailing external guests:', error);
+    }
+  }
+  
+  // Tell the organizer how an attendee responded to their invitation
+  static async notifyOrganizerOfResponse(booking, attendee, status, comment = '') {
+    try {
+      const verbs = { accepted: 'accepted', declined: 'declined', tentative: 'tentatively accepted' };
+
+      await Notification.create({
+        user: booking.bookedBy._id || booking.bookedBy,
+        type: 'attendee_response',
+        title: 'Meeting Response',
+        message: `${attendee.name} ${verbs[status]} "${booking.title}" on ${new Date(booking.startTime).toLocaleString()}.${comment ? ` Comment: ${comment}` : ''}`,
+        booking: booking._id,
+        room: booking.room._id || booking.room
+      });
+
+    } catch (error) {
+      console.error('Error notifying organizer of response:', error);
+    }
+  }
+  
   // Send reminder notifications
   static async sendBookingReminders() {
     try {
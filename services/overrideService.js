@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const RelocationService = require('./relocationService');
+const { findConflictingBookings } = require('../utils/bookingHelper');
+
+const person = (user) => (user ? { _id: user._id, name: user.name, email: user.email } : null);
+
+class OverrideService {
+
+  // Existing bookings an admin booking over these slots would displace (each listed once)
+  static async findConflicts(roomId, slots, excludeBookingIds = []) {
+    const conflicts = new Map();
+
+    for (const { startTime, endTime } of slots) {
+      const overlapping = await findConflictingBookings(roomId, startTime, endTime, {
+        excludeBookingId: excludeBookingIds.length > 0 ? excludeBookingIds : null,
+        populate: [
+          { path: 'bookedBy', select: 'name email' },
+          { path: 'attendees', select: 'name email' },
+          { path: 'room', select: 'name location' }
+        ]
+      });
+
+      for (const booking of overlapping) {
+        conflicts.set(booking._id.toString(), booking);
+      }
+    }
+
+    return [...conflicts.values()].sort((a, b) => a.startTime - b.startTime);
+  }
+
+  // Fingerprint of the exact set of bookings shown in a preview
+  static tokenFor(conflicts) {
+    const ids = conflicts.map(b => b._id.toString()).sort();
+    return crypto.createHash('sha256').update(ids.join(',')).digest('hex');
+  }
+
+  // What an override would do: the bookings, where each would move (or that it would be
+  // cancelled), their owners and everyone invited
+  static async buildPreview(conflicts, sourceRoom) {
+    const owners = new Map();
+    const attendees = new Map();
+    const plan = conflicts.length > 0 ? await RelocationService.planRelocations(conflicts, sourceRoom) : [];
+
+    const bookings = conflicts.map((booking, index) => {
+      const { targetRoom } = plan[index];
+      if (booking.bookedBy) owners.set(booking.bookedBy._id.toString(), person(booking.bookedBy));
+      for (const attendee of booking.attendees || []) {
+        if (attendee && attendee._id) attendees.set(attendee._id.toString(), person(attendee));
+      }
+
+      return {
+        _id: booking._id,
+        title: booking.title,
+        status: booking.status,
+        room: booking.room,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        recurrenceGroup: booking.recurrenceGroup || null,
+        owner: person(booking.bookedBy),
+        attendees: (booking.attendees || []).filter(a => a && a._id).map(person),
+        action: targetRoom ? 'relocate' : 'cancel',
+        relocateTo: targetRoom ? { _id: targetRoom._id, name: targetRoom.name, location: targetRoom.location, floor: targetRoom.floor } : null
+      };
+    });
+
+    return {
+      totalBookings: bookings.length,
+      toRelocate: bookings.filter(b => b.action === 'relocate').length,
+      toCancel: bookings.filter(b => b.action === 'cancel').length,
+      bookings,
+      owners: [...owners.values()],
+      affectedAttendees: [...attendees.values()],
+      overrideToken: OverrideService.tokenFor(conflicts)
+    };
+  }
+
+  // An override needs confirmOverride, a reason and the token of the preview it confirms;
+  // returns null when confirmed, otherwise why not plus the current preview
+  static async checkConfirmation(conflicts, sourceRoom, { confirmOverride, overrideReason, overrideToken }) {
+    if (conflicts.length === 0) {
+      return null;
+    }
+
+    if (confirmOverride !== true || !overrideReason || !String(overrideReason).trim()) {
+      return {
+        message: `This booking would displace ${conflicts.length} existing booking(s). Review them and resend with confirmOverride: true, an overrideReason and the overrideToken.`,
+        preview: await OverrideService.buildPreview(conflicts, sourceRoom)
+      };
+    }
+
+    if (overrideToken !== OverrideService.tokenFor(conflicts)) {
+      return {
+        message: 'The conflicting bookings changed since the preview. Review them again and confirm with the new overrideToken.',
+        preview: await OverrideService.buildPreview(conflicts, sourceRoom)
+      };
+    }
+
+    return null;
+  }
+
+  // Move the displaced bookings to equivalent rooms, cancelling any that cannot be placed
+  static async displaceConflicts(conflicts, sourceRoom, admin, reason) {
+    if (conflicts.length === 0) {
+      return { relocated: [], cancelled: [] };
+    }
+
+    return RelocationService.relocateOrCancel(conflicts, sourceRoom, {
+      actor: admin,
+      reason: `Admin override: ${reason}`,
+      cancelType: 'admin_override'
+    });
+  }
+
+  // Outcome of an override for the API response
+  static summarize({ relocated, cancelled }) {
+    return {
+      relocated: relocated.map(({ booking, to }) => ({
+        _id: booking._id,
+        title: booking.title,
+        startTime: booking.startTime,
+        room: { _id: to._id, name: to.name, location: to.location }
+      })),
+      cancelled: cancelled.map(booking => ({
+        _id: booking._id,
+        title: booking.title,
+        startTime: booking.startTime
+      }))
+    };
+  }
+}
+
+module.exports = OverrideService;
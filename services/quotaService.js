@@ -0,0 +1,180 @@
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const BookingQuota = require('../models/BookingQuota');
+const RecurrenceGroup = require('../models/RecurrenceGroup');
+const { BLOCKING_STATUSES } = require('../utils/bookingHelper');
+
+// Held and past bookings count toward weekly hours; cancelled ones do not
+const HOURS_STATUSES = [...BLOCKING_STATUSES, 'completed'];
+
+const envLimit = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Org-wide defaults, overridable per role and then per department
+const DEFAULT_QUOTA = {
+  maxHoursPerWeek: envLimit('QUOTA_MAX_HOURS_PER_WEEK', 40),
+  maxFutureBookings: envLimit('QUOTA_MAX_FUTURE_BOOKINGS', 20),
+  maxRecurringSeries: envLimit('QUOTA_MAX_RECURRING_SERIES', 5)
+};
+
+const LIMIT_FIELDS = Object.keys(DEFAULT_QUOTA);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class QuotaService {
+
+  // Admins manage the rooms and are not limited by quotas
+  static isExempt(user) {
+    return user.role === 'admin';
+  }
+
+  // Limits that apply to a user, and which level each one came from
+  static async resolveQuota(user) {
+    const limits = { ...DEFAULT_QUOTA };
+    const sources = Object.fromEntries(LIMIT_FIELDS.map(field => [field, 'default']));
+
+    const overrides = await BookingQuota.find({
+      $or: [
+        { scope: 'role', key: user.role },
+        ...(user.department ? [{ scope: 'department', key: user.department }] : [])
+      ]
+    });
+
+    // Department is more specific than role, so it is applied last
+    for (const scope of ['role', 'department']) {
+      const override = overrides.find(o => o.scope === scope);
+      if (!override) continue;
+
+      for (const field of LIMIT_FIELDS) {
+        if (override[field] !== undefined && override[field] !== null) {
+          limits[field] = override[field];
+          sources[field] = `${scope}:${override.key}`;
+        }
+      }
+    }
+
+    return { limits, sources };
+  }
+
+  // Hours the user has booked in the week starting at weekStart, leaving out a booking being changed
+  static async hoursInWeek(userId, weekStart, excludeBookingId = null) {
+    const weekEnd = moment(weekStart).add(1, 'week').toDate();
+    const query = {
+      bookedBy: userId,
+      status: { $in: HOURS_STATUSES },
+      startTime: { $gte: weekStart, $lt: weekEnd }
+    };
+    if (excludeBookingId) {
+      query._id = { $ne: excludeBookingId };
+    }
+    const bookings = await Booking.find(query).select('startTime endTime');
+
+    return bookings.reduce((total, b) => total + (b.endTime - b.startTime) / 3600000, 0);
+  }
+
+  // Current usage against each limit
+  static async getUsage(user, now = new Date()) {
+    const [hoursThisWeek, futureBookings, activeSeries] = await Promise.all([
+      QuotaService.hoursInWeek(user._id, moment(now).startOf('week').toDate()),
+      // Occurrences of a series are limited through maxRecurringSeries instead
+      Booking.countDocuments({
+        bookedBy: user._id,
+        status: { $in: BLOCKING_STATUSES },
+        endTime: { $gt: now },
+        recurrenceGroup: null
+      }),
+      RecurrenceGroup.countDocuments({
+        createdBy: user._id,
+        isActive: true,
+        endDate: { $gte: now }
+      })
+    ]);
+
+    return { hoursThisWeek: round(hoursThisWeek), futureBookings, activeSeries };
+  }
+
+  // Check new slots against the user's quota; returns field-level errors.
+  // With excludeBookingId the slot replaces that booking's time, so only weekly hours are checked
+  static async checkBooking(user, slots, { recurring = false, excludeBookingId = null } = {}) {
+    if (QuotaService.isExempt(user)) {
+      return [];
+    }
+
+    const { limits } = await QuotaService.resolveQuota(user);
+    const errors = [];
+
+    // Weekly hours, for every week the new slots fall in
+    const newHoursByWeek = new Map();
+    for (const { startTime, endTime } of slots) {
+      const weekStart = moment(startTime).startOf('week').toDate().getTime();
+      newHoursByWeek.set(weekStart, (newHoursByWeek.get(weekStart) || 0) + (endTime - startTime) / 3600000);
+    }
+
+    const overWeeks = [];
+    for (const [weekStart, newHours] of newHoursByWeek) {
+      const booked = await QuotaService.hoursInWeek(user._id, new Date(weekStart), excludeBookingId);
+      if (booked + newHours > limits.maxHoursPerWeek) {
+        overWeeks.push({
+          weekStart: new Date(weekStart).toDateString(),
+          bookedHours: round(booked),
+          requestedHours: round(newHours)
+        });
+      }
+    }
+    if (overWeeks.length > 0) {
+      errors.push({
+        field: 'maxHoursPerWeek',
+        message: `You can book at most ${limits.maxHoursPerWeek} hours per week`,
+        weeks: overWeeks
+      });
+    }
+
+    // A booking being moved or extended is already counted among the user's bookings
+    if (excludeBookingId) {
+      return errors;
+    }
+
+    const usage = await QuotaService.getUsage(user);
+    if (recurring) {
+      if (usage.activeSeries + 1 > limits.maxRecurringSeries) {
+        errors.push({
+          field: 'maxRecurringSeries',
+          message: `You can have at most ${limits.maxRecurringSeries} active recurring series`
+        });
+      }
+    } else if (usage.futureBookings + slots.length > limits.maxFutureBookings) {
+      errors.push({
+        field: 'maxFutureBookings',
+        message: `You can have at most ${limits.maxFutureBookings} upcoming bookings`
+      });
+    }
+
+    return errors;
+  }
+
+  // Limits, usage and what is left of each for the current week
+  static async getRemaining(user, now = new Date()) {
+    const { limits, sources } = await QuotaService.resolveQuota(user);
+    const usage = await QuotaService.getUsage(user, now);
+
+    return {
+      exempt: QuotaService.isExempt(user),
+      weekStart: moment(now).startOf('week').toDate(),
+      weekEnd: moment(now).endOf('week').toDate(),
+      limits,
+      sources,
+      usage,
+      remaining: {
+        hoursThisWeek: Math.max(0, round(limits.maxHoursPerWeek - usage.hoursThisWeek)),
+        futureBookings: Math.max(0, limits.maxFutureBookings - usage.futureBookings),
+        recurringSeries: Math.max(0, limits.maxRecurringSeries - usage.activeSeries)
+      }
+    };
+  }
+}
+
+QuotaService.DEFAULT_QUOTA = DEFAULT_QUOTA;
+
+module.exports = QuotaService;
@@ -0,0 +1,207 @@
+const Room = require('../models/Room');
+const LinkedEvent = require('../models/LinkedEvent');
+const Notification = require('../models/Notification');
+const NotificationService = require('./notificationService');
+const HistoryService = require('./historyService');
+const LinkedEventService = require('./linkedEventService');
+const { checkOverlapWithRecurring, addRecurrenceException } = require('../utils/bookingHelper');
+const { withRoomLock } = require('../utils/lock');
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const overlaps = (a, b) => a.startTime < b.endTime && a.endTime > b.startTime;
+
+class RelocationService {
+
+  // Active rooms at least as large as the source with all of its amenities,
+  // best first: same building, nearest floor, then the tightest fit
+  static async findCandidateRooms(sourceRoom, excludeRoomIds = []) {
+    const query = {
+      _id: { $nin: [sourceRoom._id, ...excludeRoomIds] },
+      isActive: true,
+      capacity: { $gte: sourceRoom.capacity }
+    };
+    if (sourceRoom.amenities && sourceRoom.amenities.length > 0) {
+      query.amenities = { $all: sourceRoom.amenities };
+    }
+    // Moving a booking must not skip an approval it never needed
+    if (!sourceRoom.requiresApproval) {
+      query.requiresApproval = { $ne: true };
+    }
+
+    const rooms = await Room.find(query);
+    const sameBuilding = (room) => room.location.toLowerCase() === sourceRoom.location.toLowerCase();
+    const floorDistance = (room) => (
+      room.floor != null && sourceRoom.floor != null ? Math.abs(room.floor - sourceRoom.floor) : Infinity
+    );
+
+    return rooms.sort((a, b) =>
+      (sameBuilding(b) - sameBuilding(a)) ||
+      (floorDistance(a) - floorDistance(b)) ||
+      (a.capacity - b.capacity)
+    );
+  }
+
+  // Pick a free alternative room for each booking without changing anything;
+  // rooms already picked for an earlier booking in the batch count as taken
+  static async planRelocations(bookings, sourceRoom, { excludeRoomIds = [] } = {}) {
+    const candidates = await RelocationService.findCandidateRooms(sourceRoom, excludeRoomIds);
+    const planned = [];
+    const plan = [];
+
+    for (const booking of bookings) {
+      let targetRoom = null;
+
+      for (const room of candidates) {
+        const takenInPlan = planned.some(p => p.roomId === room._id.toString() && overlaps(p, booking));
+        if (takenInPlan) continue;
+
+        const hasOverlap = await checkOverlapWithRecurring(room._id, booking.startTime, booking.endTime, booking._id);
+        if (hasOverlap) continue;
+
+        targetRoom = room;
+        break;
+      }
+
+      if (targetRoom) {
+        planned.push({ roomId: targetRoom._id.toString(), startTime: booking.startTime, endTime: booking.endTime });
+      }
+      plan.push({ booking, targetRoom });
+    }
+
+    return plan;
+  }
+
+  // Move each displaced booking to an equivalent room, cancelling those that cannot be placed
+  // cancelType is the notification type used for the cancellations (e.g. admin_override, room_deleted)
+  static async relocateOrCancel(bookings, sourceRoom, { actor, reason, excludeRoomIds = [], cancelType = 'booking_cancelled' }) {
+    const plan = await RelocationService.planRelocations(bookings, sourceRoom, { excludeRoomIds });
+    const relocated = [];
+    const cancelled = [];
+
+    for (const { booking, targetRoom } of plan) {
+      const before = HistoryService.snapshot(booking);
+      let moved = false;
+
+      if (targetRoom) {
+        // Re-check under the target room's lock; someone may have booked it since planning
+        moved = await withRoomLock([targetRoom._id], async () => {
+          const hasOverlap = await checkOverlapWithRecurring(targetRoom._id, booking.startTime, booking.endTime, booking._id);
+          if (hasOverlap) {
+            return false;
+          }
+
+          booking.room = targetRoom._id;
+          booking.relocatedFrom = sourceRoom._id;
+          await booking.save({ validateBeforeSave: false });
+          return true;
+        });
+      }
+
+      // An occurrence moved out of its series' room is an exception to the pattern
+      if (booking.recurrenceGroup) {
+        await addRecurrenceException(booking.recurrenceGroup, booking.startTime);
+      }
+
+      // Bookings an admin override pushed out are recorded as overridden, whatever became of them
+      const overridden = cancelType === 'admin_override';
+
+      // A multi-room event follows its booking to the new room, or is cancelled in every room
+      if (booking.linkedEvent && moved) {
+        await LinkedEventService.replaceRoom(booking.linkedEvent, sourceRoom._id, targetRoom._id);
+      } else if (booking.linkedEvent) {
+        const event = await LinkedEvent.findById(booking.linkedEvent);
+        if (event && event.status !== 'cancelled') {
+          // The caller may hold the source room's lock
+          const { bookings: eventBookings } = await LinkedEventService.cancel(event, actor, reason, { heldRoomIds: [sourceRoom._id] });
+          for (const eventBooking of eventBookings) {
+            await eventBooking.populate('room');
+            await RelocationService.notifyCancelled(eventBooking, eventBooking.room, reason, cancelType);
+            cancelled.push(eventBooking);
+          }
+          continue;
+        }
+      }
+
+      if (moved) {
+        await HistoryService.record(booking, overridden ? 'overridden' : 'relocated', actor, { before, reason });
+        await RelocationService.notifyReassigned(booking, sourceRoom, targetRoom, reason);
+        relocated.push({ booking, from: sourceRoom, to: targetRoom });
+      } else {
+        booking.status = 'cancelled';
+        booking.cancelledBy = actor._id;
+        booking.cancelledAt = Date.now();
+        booking.cancellationReason = reason;
+        await booking.save({ validateBeforeSave: false });
+        await HistoryService.record(booking, overridden ? 'overridden' : 'cancelled', actor, { before, reason });
+
+        await RelocationService.notifyCancelled(booking, sourceRoom, reason, cancelType);
+        cancelled.push(booking);
+      }
+    }
+
+    return { relocated, cancelled };
+  }
+
+  // Organizer and every attendee hear where the meeting moved
+  static async notifyReassigned(booking, fromRoom, toRoom, reason) {
+    const organizerId = idOf(booking.bookedBy);
+    const when = new Date(booking.startTime).toLocaleString();
+    const where = `${toRoom.name} (${toRoom.location}${toRoom.floor != null ? `, floor ${toRoom.floor}` : ''})`;
+
+    const notifications = [{
+      user: organizerId,
+      type: 'booking_reassigned',
+      title: 'Booking Moved to Another Room',
+      message: `Your booking "${booking.title}" on ${when} has moved from ${fromRoom.name} to ${where}. ${reason}`,
+      booking: booking._id,
+      room: toRoom._id
+    }];
+
+    for (const attendee of booking.attendees || []) {
+      if (idOf(attendee).toString() === organizerId.toString()) continue;
+      notifications.push({
+        user: idOf(attendee),
+        type: 'booking_reassigned',
+        title: 'Meeting Moved to Another Room',
+        message: `"${booking.title}" on ${when} has moved from ${fromRoom.name} to ${where}.`,
+        booking: booking._id,
+        room: toRoom._id
+      });
+    }
+
+    await Notification.insertMany(notifications);
+    await NotificationService.emailExternalGuests([booking], booking.bookedBy, 'moved');
+  }
+
+  static async notifyCancelled(booking, fromRoom, reason, type) {
+    const organizerId = idOf(booking.bookedBy);
+    const when = new Date(booking.startTime).toLocaleString();
+
+    const notifications = [{
+      user: organizerId,
+      type,
+      title: 'Booking Cancelled',
+      message: `Your booking "${booking.title}" on ${when} in ${fromRoom.name} has been cancelled and no equivalent room was free. ${reason}`,
+      booking: booking._id,
+      room: fromRoom._id
+    }];
+
+    for (const attendee of booking.attendees || []) {
+      if (idOf(attendee).toString() === organizerId.toString()) continue;
+      notifications.push({
+        user: idOf(attendee),
+        type,
+        title: 'Meeting Cancelled',
+        message: `"${booking.title}" on ${when} in ${fromRoom.name} has been cancelled.`,
+        booking: booking._id,
+        room: fromRoom._id
+      });
+    }
+
+    await Notification.insertMany(notifications);
+    await NotificationService.emailExternalGuests([booking], booking.bookedBy, 'cancelled');
+  }
+}
+
+module.exports = RelocationService;
@@ -0,0 +1,144 @@
+const Booking = require('../models/Booking');
+const Resource = require('../models/Resource');
+const { BLOCKING_STATUSES } = require('../utils/bookingHelper');
+
+const idString = (value) => (value._id || value).toString();
+
+class ResourceService {
+
+  // One entry per resource with the quantities added up
+  static normalizeRequests(requests = []) {
+    const byResource = new Map();
+    for (const { resource, quantity } of requests || []) {
+      const id = idString(resource);
+      byResource.set(id, (byResource.get(id) || 0) + (parseInt(quantity, 10) || 1));
+    }
+    return [...byResource].map(([resource, quantity]) => ({ resource, quantity }));
+  }
+
+  // Bookings holding a resource at some point of the window
+  static async findReservations(resourceId, windowStart, windowEnd, excludeBookingId = null) {
+    const query = {
+      'resources.resource': resourceId,
+      status: { $in: BLOCKING_STATUSES },
+      startTime: { $lt: windowEnd },
+      endTime: { $gt: windowStart }
+    };
+    if (Array.isArray(excludeBookingId)) {
+      query._id = { $nin: excludeBookingId };
+    } else if (excludeBookingId) {
+      query._id = { $ne: excludeBookingId };
+    }
+    return Booking.find(query).sort('startTime');
+  }
+
+  // Most units of a resource in use at the same moment within the window. Bookings that
+  // overlap the window but not each other do not add up
+  static peakReserved(reservations, resourceId, windowStart, windowEnd) {
+    const changes = [];
+    for (const booking of reservations) {
+      const quantity = booking.resources
+        .filter(entry => idString(entry.resource) === resourceId.toString())
+        .reduce((total, entry) => total + entry.quantity, 0);
+      changes.push({ at: Math.max(booking.startTime.getTime(), windowStart.getTime()), delta: quantity });
+      changes.push({ at: Math.min(booking.endTime.getTime(), windowEnd.getTime()), delta: -quantity });
+    }
+
+    // Returns come before pickups at the same minute, so back-to-back bookings can share a unit
+    changes.sort((a, b) => a.at - b.at || a.delta - b.delta);
+
+    let inUse = 0;
+    let peak = 0;
+    for (const { delta } of changes) {
+      inUse += delta;
+      peak = Math.max(peak, inUse);
+    }
+    return peak;
+  }
+
+  // Units of a resource free for the whole window
+  static async availableQuantity(resource, windowStart, windowEnd, excludeBookingId = null) {
+    const reservations = await ResourceService.findReservations(resource._id, windowStart, windowEnd, excludeBookingId);
+    return Math.max(resource.quantity - ResourceService.peakReserved(reservations, resource._id, windowStart, windowEnd), 0);
+  }
+
+  // Check requested resources against every slot (one per occurrence for a series);
+  // returns field-level errors like express-validator's
+  static async checkAvailability(requests, slots, { excludeBookingId = null } = {}) {
+    const normalized = ResourceService.normalizeRequests(requests);
+    if (normalized.length === 0) {
+      return [];
+    }
+
+    const resources = await Resource.find({ _id: { $in: normalized.map(r => r.resource) } });
+    const errors = [];
+
+    for (const { resource: id, quantity } of normalized) {
+      const resource = resources.find(r => r._id.toString() === id);
+      if (!resource || !resource.isActive) {
+        errors.push({ field: 'resources', resource: id, message: 'Resource not found or not available' });
+        continue;
+      }
+      if (quantity > resource.quantity) {
+        errors.push({
+          field: 'resources',
+          resource: id,
+          message: `Only ${resource.quantity} of ${resource.name} exist, but ${quantity} were requested`
+        });
+        continue;
+      }
+
+      const shortDates = [];
+      let available = resource.quantity;
+      for (const { startTime, endTime } of slots) {
+        const free = await ResourceService.availableQuantity(resource, startTime, endTime, excludeBookingId);
+        if (free < quantity) {
+          shortDates.push(startTime.toDateString());
+          available = Math.min(available, free);
+        }
+      }
+      if (shortDates.length > 0) {
+        errors.push({
+          field: 'resources',
+          resource: id,
+          message: `Only ${available} of ${resource.name} are free for this time, but ${quantity} were requested`,
+          requested: quantity,
+          available,
+          ...(slots.length > 1 && { dates: shortDates })
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  // Bookings using a resource within the window, and the most units in use at once
+  static async getSchedule(resource, windowStart, windowEnd) {
+    const reservations = await ResourceService.findReservations(resource._id, windowStart, windowEnd);
+    await Booking.populate(reservations, [
+      { path: 'room', select: 'name location' },
+      { path: 'bookedBy', select: 'name email' }
+    ]);
+
+    return {
+      resource,
+      windowStart,
+      windowEnd,
+      peakReserved: ResourceService.peakReserved(reservations, resource._id, windowStart, windowEnd),
+      reservations: reservations.map(booking => ({
+        booking: booking._id,
+        title: booking.title,
+        status: booking.status,
+        room: booking.room,
+        bookedBy: booking.bookedBy,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        quantity: booking.resources
+          .filter(entry => idString(entry.resource) === resource._id.toString())
+          .reduce((total, entry) => total + entry.quantity, 0)
+      }))
+    };
+  }
+}
+
+module.exports = ResourceService;
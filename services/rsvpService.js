@@ -0,0 +1,159 @@
+const Booking = require('../models/Booking');
+const LinkedEvent = require('../models/LinkedEvent');
+const NotificationService = require('./notificationService');
+const WaitlistService = require('./waitlistService');
+const HistoryService = require('./historyService');
+const LinkedEventService = require('./linkedEventService');
+const { addRecurrenceException } = require('../utils/bookingHelper');
+
+const RESPONSE_STATUSES = ['accepted', 'declined', 'tentative'];
+
+// Bookings that can still be released when everyone declines
+const RELEASABLE_STATUSES = ['confirmed', 'pending'];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+class RsvpService {
+
+  // Attendees asked to respond; the organizer is going by definition
+  static invitees(booking) {
+    const organizerId = idOf(booking.bookedBy).toString();
+    return (booking.attendees || []).filter(a => idOf(a).toString() !== organizerId);
+  }
+
+  // Response counts and who said what; responses of people no longer invited are ignored
+  static summarize(booking) {
+    const invitees = RsvpService.invitees(booking);
+    const summary = { total: invitees.length, accepted: 0, declined: 0, tentative: 0, awaiting: 0, responses: [] };
+
+    for (const attendee of invitees) {
+      const response = (booking.responses || []).find(r => idOf(r.user).toString() === idOf(attendee).toString());
+      const status = response ? response.status : 'awaiting';
+      summary[status] += 1;
+      summary.responses.push({
+        user: attendee,
+        status,
+        comment: response ? response.comment : undefined,
+        respondedAt: response ? response.respondedAt : undefined
+      });
+    }
+
+    return summary;
+  }
+
+  // External guests cannot respond, so a meeting with guests is never declined by everyone
+  static allDeclined(booking) {
+    if ((booking.externalGuests || []).length > 0) {
+      return false;
+    }
+    const summary = RsvpService.summarize(booking);
+    return summary.total > 0 && summary.declined === summary.total;
+  }
+
+  // Record an attendee's response (replacing an earlier one) and tell the organizer;
+  // releases the room when the booking asked for it and nobody is left coming
+  static async respond(booking, user, status, comment = '') {
+    const response = { user: user._id, status, comment, respondedAt: new Date() };
+
+    // Positional update first so concurrent responses never overwrite one another
+    const updated = await Booking.updateOne(
+      { _id: booking._id, 'responses.user': user._id },
+      { $set: { 'responses.$': response, updatedAt: new Date() } }
+    );
+    if (updated.matchedCount === 0) {
+      await Booking.updateOne(
+        { _id: booking._id, 'responses.user': { $ne: user._id } },
+        { $push: { responses: response }, $set: { updatedAt: new Date() } }
+      );
+    }
+
+    let current = await Booking.findById(booking._id).populate('room bookedBy attendees');
+    await NotificationService.notifyOrganizerOfResponse(current, user, status, comment);
+
+    let released = false;
+    if (status === 'declined' && current.releaseIfAllDecline && RsvpService.allDeclined(current)) {
+      const cancelled = await RsvpService.release(current);
+      if (cancelled) {
+        current = cancelled;
+        released = true;
+      }
+    }
+
+    return { booking: current, released };
+  }
+
+  // Cancel a booking every attendee declined and offer the slot to the waitlist
+  static async release(booking) {
+    if (booking.startTime <= new Date()) {
+      return null;
+    }
+
+    if (booking.linkedEvent) {
+      return RsvpService.releaseEvent(booking);
+    }
+
+    // Only one release wins if the last responses arrive together
+    const cancelled = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: { $in: RELEASABLE_STATUSES } },
+      {
+        status: 'cancelled',
+        cancelledAt: Date.now(),
+        cancellationReason: 'All attendees declined',
+        updatedAt: Date.now()
+      },
+      { new: true }
+    ).populate('room bookedBy attendees');
+
+    if (!cancelled) {
+      return null;
+    }
+
+    await HistoryService.record(cancelled, 'cancelled', null, {
+      before: HistoryService.snapshot(booking),
+      reason: cancelled.cancellationReason
+    });
+
+    if (cancelled.recurrenceGroup) {
+      await addRecurrenceException(cancelled.recurrenceGroup, cancelled.startTime);
+    }
+
+    WaitlistService.processFreedBookings([cancelled]);
+
+    await NotificationService.notifyUserOfBookingStatus(
+      cancelled.bookedBy._id,
+      cancelled,
+      'cancelled',
+      'Every attendee declined, so the room has been released.'
+    );
+
+    return cancelled;
+  }
+
+  // A multi-room event is released in all its rooms at once
+  static async releaseEvent(booking) {
+    const event = await LinkedEvent.findById(booking.linkedEvent);
+    if (!event || event.status === 'cancelled') {
+      return null;
+    }
+
+    const { bookings } = await LinkedEventService.cancel(event, null, 'All attendees declined');
+    const cancelled = bookings.find(b => b._id.equals(booking._id));
+    if (!cancelled) {
+      return null;
+    }
+    await cancelled.populate('room bookedBy attendees');
+
+    await NotificationService.notifyUserOfBookingStatus(
+      cancelled.bookedBy._id,
+      cancelled,
+      'cancelled',
+      `Every attendee declined, so the event has been cancelled in all ${bookings.length} rooms.`
+    );
+
+    return cancelled;
+  }
+}
+
+RsvpService.RESPONSE_STATUSES = RESPONSE_STATUSES;
+
+module.exports = RsvpService;
@@ -0,0 +1,125 @@
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const { BLOCKING_STATUSES, getRoomOccupancy, findFreeSlots, locationPattern } = require('../utils/bookingHelper');
+const { resolvePolicy, checkBookingPolicy } = require('../utils/bookingPolicy');
+
+// Longest window a search or free/busy lookup may span
+const MAX_SEARCH_DAYS = 14;
+
+// Bookings not yet going ahead mark their people as tentatively busy
+const TENTATIVE_STATUSES = ['held', 'pending'];
+
+const overlaps = (a, b) => a.startTime < b.endTime && a.endTime > b.startTime;
+
+const person = (user) => ({ _id: user._id, name: user.name, email: user.email });
+
+class SchedulingService {
+
+  // Active rooms that seat the attendees and meet the amenity, floor and location constraints
+  static roomQuery({ attendees = 1, amenities = [], floor, location, rooms } = {}) {
+    const query = { isActive: true, capacity: { $gte: attendees } };
+    if (amenities.length > 0) query.amenities = { $all: amenities };
+    if (floor !== undefined) query.floor = floor;
+    if (location) query.location = locationPattern(location);
+    if (rooms && rooms.length > 0) query._id = { $in: rooms };
+    return query;
+  }
+
+  // Slots of durationMs a room is free for within the window; outside admins,
+  // only slots its booking policy allows
+  static async freeSlotsForRoom(room, windowStart, windowEnd, durationMs, { stepMs, applyPolicy = true } = {}) {
+    const busy = await getRoomOccupancy(room, windowStart, windowEnd);
+    const slots = findFreeSlots(busy, windowStart, windowEnd, durationMs, { stepMs });
+
+    if (!applyPolicy) {
+      return slots;
+    }
+    const policy = resolvePolicy(room);
+    return slots.filter(slot => checkBookingPolicy(policy, slot.startTime, slot.endTime).length === 0);
+  }
+
+  // Busy time of each user in the window, from the bookings they organize or attend.
+  // Only times are exposed, never what the meetings are
+  static async getFreeBusy(userIds, windowStart, windowEnd) {
+    const users = await User.find({ _id: { $in: userIds } }).select('name email');
+
+    const bookings = await Booking.find({
+      status: { $in: BLOCKING_STATUSES },
+      startTime: { $lt: windowEnd },
+      endTime: { $gt: windowStart },
+      $or: [{ bookedBy: { $in: userIds } }, { attendees: { $in: userIds } }]
+    }).select('bookedBy attendees startTime endTime status').sort('startTime');
+
+    return users.map(user => {
+      const id = user._id.toString();
+      const busy = bookings
+        .filter(b => b.bookedBy.toString() === id || b.attendees.some(a => a.toString() === id))
+        .map(b => ({
+          startTime: b.startTime,
+          endTime: b.endTime,
+          status: TENTATIVE_STATUSES.includes(b.status) ? 'tentative' : 'busy'
+        }));
+
+      return { user: person(user), busy };
+    });
+  }
+
+  // Candidate meeting times ranked by how many attendees are free, each with a free room.
+  // Suggestions never overlap one another, so each is a distinct option
+  static async suggestTimes({ userIds, windowStart, windowEnd, durationMs, stepMs, roomConstraints, applyPolicy = true, limit = 10 }) {
+    const freeBusy = await SchedulingService.getFreeBusy(userIds, windowStart, windowEnd);
+
+    // Smallest rooms first, so each suggestion gets the tightest fit
+    const rooms = await Room.find(SchedulingService.roomQuery(roomConstraints)).sort('capacity name');
+    const roomSlots = [];
+    for (const room of rooms) {
+      const slots = await SchedulingService.freeSlotsForRoom(room, windowStart, windowEnd, durationMs, { stepMs, applyPolicy });
+      roomSlots.push({ room, starts: new Set(slots.map(s => s.startTime.getTime())) });
+    }
+
+    const candidates = [];
+    for (let start = windowStart.getTime(); start + durationMs <= windowEnd.getTime(); start += stepMs) {
+      const slot = { startTime: new Date(start), endTime: new Date(start + durationMs) };
+      const available = [];
+      const unavailable = [];
+      for (const { user, busy } of freeBusy) {
+        (busy.some(interval => overlaps(interval, slot)) ? unavailable : available).push(user);
+      }
+      candidates.push({ ...slot, available, unavailable });
+    }
+    candidates.sort((a, b) => (b.available.length - a.available.length) || (a.startTime - b.startTime));
+
+    const suggestions = [];
+    for (const candidate of candidates) {
+      if (suggestions.length >= limit) break;
+      if (suggestions.some(s => overlaps(s, candidate))) continue;
+
+      const match = roomSlots.find(({ starts }) => starts.has(candidate.startTime.getTime()));
+      if (!match) continue;
+
+      suggestions.push({
+        startTime: candidate.startTime,
+        endTime: candidate.endTime,
+        freeAttendees: candidate.available.length,
+        totalAttendees: freeBusy.length,
+        available: candidate.available,
+        unavailable: candidate.unavailable,
+        room: {
+          _id: match.room._id,
+          name: match.room.name,
+          location: match.room.location,
+          floor: match.room.floor,
+          capacity: match.room.capacity,
+          requiresApproval: Boolean(match.room.requiresApproval)
+        }
+      });
+    }
+
+    return suggestions;
+  }
+}
+
+SchedulingService.MAX_SEARCH_DAYS = MAX_SEARCH_DAYS;
+
+module.exports = SchedulingService;
@@ -0,0 +1,251 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationService = require('./notificationService');
+const ApprovalService = require('./approvalService');
+const QuotaService = require('./quotaService');
+const HistoryService = require('./historyService');
+const ResourceService = require('./resourceService');
+const { checkOverlapWithRecurring } = require('../utils/bookingHelper');
+const { resolvePolicy, checkBookingPolicy } = require('../utils/bookingPolicy');
+const { withRoomLock } = require('../utils/lock');
+
+// How long someone has to accept an offered slot
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 30;
+
+// An auto-booking that finds the room locked (often by the request that freed the slot)
+// is retried this many times, then offered to the user instead
+const RETRY_DELAY_MS = 10 * 1000;
+const MAX_RETRIES = 3;
+
+const failure = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const overlaps = (a, b) => a.startTime < b.endTime && a.endTime > b.startTime;
+
+class WaitlistService {
+
+  // Offer (or auto-book) a freed slot to whoever has waited longest for it
+  static async processFreedSlot(roomId, startTime, endTime, attempt = 0) {
+    try {
+      const now = new Date();
+      const entries = await WaitlistEntry.find({
+        room: roomId,
+        status: 'waiting',
+        startTime: { $lt: endTime, $gt: now },
+        endTime: { $gt: startTime }
+      }).sort('createdAt');
+
+      // Slots with an outstanding offer, plus those offered or booked in this pass
+      const claimed = await WaitlistEntry.find({
+        room: roomId,
+        status: 'offered',
+        startTime: { $lt: endTime },
+        endTime: { $gt: startTime }
+      });
+
+      for (const entry of entries) {
+        if (claimed.some(other => overlaps(entry, other))) {
+          continue;
+        }
+
+        // Still blocked by another booking
+        const hasOverlap = await checkOverlapWithRecurring(roomId, entry.startTime, entry.endTime);
+        if (hasOverlap) {
+          continue;
+        }
+
+        if (entry.autoBook) {
+          try {
+            const booking = await WaitlistService.bookEntry(entry);
+            if (booking) claimed.push(entry);
+          } catch (error) {
+            if (!error.statusCode) throw error;
+
+            if (error.statusCode === 409 && attempt < MAX_RETRIES) {
+              setTimeout(() => {
+                WaitlistService.processFreedSlot(roomId, startTime, endTime, attempt + 1);
+              }, RETRY_DELAY_MS).unref();
+              return;
+            }
+
+            if (error.statusCode === 409) {
+              await WaitlistService.offerEntry(entry);
+              claimed.push(entry);
+            } else {
+              await WaitlistService.failAutoBook(entry, error.message);
+            }
+          }
+        } else {
+          await WaitlistService.offerEntry(entry);
+          claimed.push(entry);
+        }
+      }
+
+    } catch (error) {
+      console.error('Error processing waitlist:', error);
+    }
+  }
+
+  // Process the slots of several cancelled or moved bookings, one after another
+  static async processFreedBookings(bookings) {
+    for (const booking of bookings) {
+      await WaitlistService.processFreedSlot(booking.room._id || booking.room, booking.startTime, booking.endTime);
+    }
+  }
+
+  // Offer the slot to a waiting user with a deadline to accept
+  static async offerEntry(entry) {
+    const now = new Date();
+    const deadline = new Date(Math.min(now.getTime() + OFFER_MINUTES * 60 * 1000, entry.startTime.getTime()));
+
+    entry.status = 'offered';
+    entry.offeredAt = now;
+    entry.offerExpiresAt = deadline;
+    await entry.save();
+
+    await Notification.create({
+      user: entry.user,
+      type: 'waitlist_offer',
+      title: 'Room Available',
+      message: `The slot you were waiting for ("${entry.title}", ${entry.startTime.toLocaleString()}) is now free. Accept by ${deadline.toLocaleString()} to book it.`,
+      room: entry.room
+    });
+  }
+
+  // Tell the user an automatic booking could not be made and take the entry off the waitlist
+  static async failAutoBook(entry, reason) {
+    entry.status = 'expired';
+    await entry.save();
+
+    await Notification.create({
+      user: entry.user,
+      type: 'waitlist_expired',
+      title: 'Waitlist Booking Failed',
+      message: `The slot you were waiting for ("${entry.title}", ${entry.startTime.toLocaleString()}) opened up but could not be booked for you: ${reason}`,
+      room: entry.room
+    });
+  }
+
+  // Turn a waitlist entry into a booking with the same checks as booking directly;
+  // returns null if the slot was taken meanwhile and throws (with a statusCode) if it cannot be booked
+  static async bookEntry(entry) {
+    const [room, user] = await Promise.all([Room.findById(entry.room), User.findById(entry.user)]);
+    if (!room || !room.isActive || !user) {
+      throw failure('The room or the user is no longer available', 400);
+    }
+
+    const policyErrors = checkBookingPolicy(resolvePolicy(room), entry.startTime, entry.endTime);
+    if (policyErrors.length > 0) {
+      throw failure(`The slot does not meet the room booking policy: ${policyErrors.map(error => error.message).join('; ')}`, 400);
+    }
+
+    const quotaErrors = await QuotaService.checkBooking(user, [entry]);
+    if (quotaErrors.length > 0) {
+      throw failure(`Booking quota exceeded: ${quotaErrors.map(error => error.message).join('; ')}`, 403);
+    }
+
+    // In restricted rooms the waitlisted user still needs approval
+    const needsApproval = ApprovalService.needsApproval(room, user);
+
+    const booking = await withRoomLock([entry.room], async () => {
+      const hasOverlap = await checkOverlapWithRecurring(entry.room, entry.startTime, entry.endTime);
+      if (hasOverlap) {
+        return null;
+      }
+
+      const resourceErrors = await ResourceService.checkAvailability(entry.resources, [entry]);
+      if (resourceErrors.length > 0) {
+        throw failure(`Requested resources are not available: ${resourceErrors.map(error => error.message).join('; ')}`, 400);
+      }
+
+      const created = await Booking.create({
+        room: entry.room,
+        bookedBy: entry.user,
+        title: entry.title,
+        description: entry.description,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        attendees: entry.attendees.length > 0 ? entry.attendees : [entry.user],
+        resources: entry.resources,
+        status: needsApproval ? 'pending' : 'confirmed',
+        approvalDeadline: needsApproval ? ApprovalService.deadlineFor(entry.startTime) : undefined
+      });
+
+      entry.status = 'booked';
+      entry.booking = created._id;
+      await entry.save();
+
+      return created;
+    }, { resourceIds: entry.resources.map(request => request.resource) });
+
+    if (!booking) {
+      return null;
+    }
+
+    await HistoryService.record(booking, 'created', { _id: entry.user }, { reason: 'Booked from the waitlist' });
+
+    await booking.populate('room bookedBy');
+
+    await Notification.create({
+      user: entry.user,
+      type: 'waitlist_booked',
+      title: needsApproval ? 'Waitlist Booking Requested' : 'Waitlist Booking Confirmed',
+      message: needsApproval
+        ? `A slot you were waiting for opened up and "${booking.title}" in ${booking.room.name} for ${booking.startTime.toLocaleString()} is now waiting for approval.`
+        : `A slot you were waiting for opened up and "${booking.title}" has been booked in ${booking.room.name} for ${booking.startTime.toLocaleString()}.`,
+      booking: booking._id,
+      room: booking.room._id
+    });
+
+    if (needsApproval) {
+      await NotificationService.notifyApproversOfRequest(booking, booking.room, booking.bookedBy);
+    } else {
+      await NotificationService.notifyAttendeesOfMeeting(booking, booking.bookedBy);
+    }
+
+    return booking;
+  }
+
+  // Expire offers past their deadline and pass the slot on
+  static async expireOffers() {
+    try {
+      const now = new Date();
+      const expired = await WaitlistEntry.find({
+        status: 'offered',
+        offerExpiresAt: { $lt: now }
+      });
+
+      for (const entry of expired) {
+        entry.status = 'expired';
+        await entry.save();
+
+        await Notification.create({
+          user: entry.user,
+          type: 'waitlist_expired',
+          title: 'Room Offer Expired',
+          message: `Your offer for "${entry.title}" on ${entry.startTime.toLocaleString()} has expired.`,
+          room: entry.room
+        });
+
+        await WaitlistService.processFreedSlot(entry.room, entry.startTime, entry.endTime);
+      }
+
+      // Requests for slots that have already started can no longer be served
+      await WaitlistEntry.updateMany(
+        { status: 'waiting', startTime: { $lte: now } },
+        { status: 'expired' }
+      );
+
+    } catch (error) {
+      console.error('Error expiring waitlist offers:', error);
+    }
+  }
+}
+
+module.exports = WaitlistService;
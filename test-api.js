@@ -7,6 +7,7 @@ const BASE_URL = 'http://localhost:5000';
 let authToken = '';
 let roomId = '';
 let bookingId = '';
+let userId = '';
 
 // Test data
 const testUser = {
@@ -112,6 +113,7 @@ async function testGetMe() {
   
   if (result.success) {
     console.log('✅ Get Me: PASSED');
+    userId = result.data.data._id;
     console.log('   User:', result.data.data.name);
   } else {
     console.log('❌ Get Me: FAILED');
@@ -157,12 +159,16 @@ async function testCreateBooking() {
     return false;
   }
 
+  // Tomorrow at 10:00, inside the default bookable hours
+  const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  start.setHours(10, 0, 0, 0);
+
   const bookingData = {
     room: roomId,
     title: 'Test Meeting',
     description: 'API test booking',
-    startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // Tomorrow
-    endTime: new Date(Date.now() + 24 * 60 * 60 * 1000 + 60 * 60 * 1000).toISOString(), // Tomorrow + 1 hour
+    startTime: start.toISOString(),
+    endTime: new Date(start.getTime() + 60 * 60 * 1000).toISOString(), // 1 hour
     attendees: [testUser.email]
   };
   
@@ -193,6 +199,43 @@ async function testGetBookings() {
   return result.success;
 }
 
+async function testConcurrentBookings() {
+  console.log('\n🏁 Testing Concurrent Bookings for the Same Slot...');
+
+  if (!roomId || !userId) {
+    console.log('❌ Concurrent Bookings: SKIPPED (No room or user ID available)');
+    return false;
+  }
+
+  const start = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000); // Day after tomorrow at 11:00
+  start.setHours(11, 0, 0, 0);
+
+  const bookingData = {
+    room: roomId,
+    title: 'Concurrency Test Meeting',
+    startTime: start.toISOString(),
+    endTime: new Date(start.getTime() + 60 * 60 * 1000).toISOString(),
+    attendees: [userId]
+  };
+
+  // Fire all requests at once; only one may win the slot
+  const attempts = 5;
+  const results = await Promise.all(
+    Array.from({ length: attempts }, () => makeRequest('POST', '/api/bookings', bookingData, true))
+  );
+  const succeeded = results.filter(result => result.success).length;
+
+  if (succeeded === 1) {
+    console.log('✅ Concurrent Bookings: PASSED');
+    console.log(`   1 of ${attempts} parallel requests succeeded`);
+  } else {
+    console.log('❌ Concurrent Bookings: FAILED');
+    console.log(`   ${succeeded} of ${attempts} parallel requests succeeded`);
+    console.log('   Statuses:', results.map(result => result.status).join(', '));
+  }
+  return succeeded === 1;
+}
+
 // Main test runner
 async function runAllTests() {
   console.log('🚀 Starting API Tests for Room Booking System');
@@ -206,7 +249,8 @@ async function runAllTests() {
     testCreateRoom,
     testGetRooms,
     testCreateBooking,
-    testGetBookings
+    testGetBookings,
+    testConcurrentBookings
   ];
 
   let passed = 0;
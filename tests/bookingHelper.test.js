@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const RecurrenceGroup = require('../models/RecurrenceGroup');
+const {
+  checkOverlap,
+  checkOverlapWithRecurring,
+  getRoomOccupancy,
+  getFreeUntil,
+  findFreeSlots,
+  locationPattern
+} = require('../utils/bookingHelper');
+
+const at = (day, hour, minute = 0) => new Date(2026, 10, day, hour, minute);
+
+// Just enough of MongoDB's query language for the helpers' queries
+const matches = (doc, query) => Object.entries(query).every(([field, condition]) => {
+  const value = doc[field];
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return String(value) === String(condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in': return operand.includes(value);
+      case '$nin': return !operand.map(String).includes(String(value));
+      case '$ne': return String(value) !== String(operand);
+      case '$lt': return value < operand;
+      case '$lte': return value <= operand;
+      case '$gt': return value > operand;
+      case '$gte': return value >= operand;
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+});
+
+// Serve rooms, bookings and recurring series from memory
+const useData = (t, { rooms = [], bookings = [], groups = [] }) => {
+  t.mock.method(Room, 'findById', (id) => ({
+    select: async () => rooms.find(room => room._id === id) || null
+  }));
+  t.mock.method(Booking, 'find', (query) => ({
+    sort: async () => bookings.filter(booking => matches(booking, query)).sort((a, b) => a.startTime - b.startTime)
+  }));
+  t.mock.method(RecurrenceGroup, 'find', async (query) => groups.filter(group => matches(group, query)));
+};
+
+const room = (id, bufferBeforeMinutes = 0, bufferAfterMinutes = 0) => ({ _id: id, bufferBeforeMinutes, bufferAfterMinutes });
+const booking = (id, roomId, startTime, endTime, status = 'confirmed') => ({ _id: id, room: roomId, startTime, endTime, status });
+
+// Weekly on Mondays, 9:00-10:00, through November 2026
+const mondayStandup = (id, roomId, exceptionDates = []) => ({
+  _id: id,
+  room: roomId,
+  isActive: true,
+  recurrencePattern: 'weekly',
+  interval: 1,
+  daysOfWeek: [1],
+  startDate: at(2, 0),
+  endDate: at(30, 23, 59),
+  baseStartTime: '9:00',
+  baseEndTime: '10:00',
+  exceptionDates
+});
+
+test('overlapping bookings in the same room conflict', async (t) => {
+  useData(t, { rooms: [room('r1')], bookings: [booking('b1', 'r1', at(3, 10), at(3, 11))] });
+
+  assert.equal(await checkOverlap('r1', at(3, 10, 30), at(3, 11, 30)), true);
+  assert.equal(await checkOverlap('r1', at(3, 9), at(3, 12)), true);
+});
+
+test('back-to-back bookings, other rooms and cancelled bookings do not conflict', async (t) => {
+  useData(t, {
+    rooms: [room('r1'), room('r2')],
+    bookings: [
+      booking('b1', 'r1', at(3, 10), at(3, 11)),
+      booking('b2', 'r2', at(3, 12), at(3, 13)),
+      booking('b3', 'r1', at(3, 14), at(3, 15), 'cancelled')
+    ]
+  });
+
+  assert.equal(await checkOverlap('r1', at(3, 11), at(3, 12)), false);
+  assert.equal(await checkOverlap('r1', at(3, 9), at(3, 10)), false);
+  assert.equal(await checkOverlap('r1', at(3, 12), at(3, 13)), false);
+  assert.equal(await checkOverlap('r1', at(3, 14), at(3, 15)), false);
+});
+
+test('held and pending bookings block the room', async (t) => {
+  useData(t, {
+    rooms: [room('r1')],
+    bookings: [booking('b1', 'r1', at(3, 10), at(3, 11), 'held'), booking('b2', 'r1', at(3, 12), at(3, 13), 'pending')]
+  });
+
+  assert.equal(await checkOverlap('r1', at(3, 10), at(3, 11)), true);
+  assert.equal(await checkOverlap('r1', at(3, 12), at(3, 13)), true);
+});
+
+test('room buffers keep a gap between bookings', async (t) => {
+  // 10 minutes to set up, 5 to clear away: bookings need 15 minutes between them
+  useData(t, { rooms: [room('r1', 10, 5)], bookings: [booking('b1', 'r1', at(3, 10), at(3, 11))] });
+
+  assert.equal(await checkOverlap('r1', at(3, 11), at(3, 12)), true);
+  assert.equal(await checkOverlap('r1', at(3, 11, 14), at(3, 12)), true);
+  assert.equal(await checkOverlap('r1', at(3, 11, 15), at(3, 12)), false);
+  assert.equal(await checkOverlap('r1', at(3, 9), at(3, 9, 45)), false);
+});
+
+test('the booking being changed is not in its own way', async (t) => {
+  useData(t, {
+    rooms: [room('r1')],
+    bookings: [booking('b1', 'r1', at(3, 10), at(3, 11)), booking('b2', 'r1', at(3, 11), at(3, 12))]
+  });
+
+  assert.equal(await checkOverlap('r1', at(3, 10, 30), at(3, 11), 'b1'), false);
+  assert.equal(await checkOverlap('r1', at(3, 10, 30), at(3, 11, 30), 'b1'), true);
+  assert.equal(await checkOverlap('r1', at(3, 10, 30), at(3, 11, 30), ['b1', 'b2']), false);
+});
+
+test('recurring series block their pattern even without bookings', async (t) => {
+  useData(t, { rooms: [room('r1')], groups: [mondayStandup('g1', 'r1')] });
+
+  // Monday 9 November, and the Tuesday after
+  assert.equal(await checkOverlapWithRecurring('r1', at(9, 9, 30), at(9, 10, 30)), true);
+  assert.equal(await checkOverlapWithRecurring('r1', at(10, 9, 30), at(10, 10, 30)), false);
+  assert.equal(await checkOverlapWithRecurring('r2', at(9, 9, 30), at(9, 10, 30)), false);
+});
+
+test('exception dates free a series occurrence', async (t) => {
+  useData(t, { rooms: [room('r1')], groups: [mondayStandup('g1', 'r1', [at(9, 0)])] });
+
+  assert.equal(await checkOverlapWithRecurring('r1', at(9, 9), at(9, 10)), false);
+  assert.equal(await checkOverlapWithRecurring('r1', at(16, 9), at(16, 10)), true);
+});
+
+test('a series is not in the way of its own occurrences', async (t) => {
+  useData(t, {
+    rooms: [room('r1')],
+    bookings: [booking('b1', 'r1', at(9, 9), at(9, 10))],
+    groups: [mondayStandup('g1', 'r1')]
+  });
+
+  assert.equal(await checkOverlapWithRecurring('r1', at(9, 9, 30), at(9, 10, 30), 'b1', 'g1'), false);
+  assert.equal(await checkOverlapWithRecurring('r1', at(9, 9, 30), at(9, 10, 30), 'b1'), true);
+});
+
+test('room occupancy lists bookings and series occurrences widened by the buffers', async (t) => {
+  const r1 = room('r1', 10, 5);
+  useData(t, {
+    rooms: [r1],
+    bookings: [booking('b1', 'r1', at(9, 13), at(9, 14))],
+    groups: [mondayStandup('g1', 'r1')]
+  });
+
+  const busy = await getRoomOccupancy(r1, at(9, 8), at(9, 18));
+
+  assert.deepEqual(busy.map(({ startTime, endTime }) => [startTime, endTime]), [
+    [at(9, 8, 45), at(9, 10, 15)],
+    [at(9, 12, 45), at(9, 14, 15)]
+  ]);
+  assert.equal(busy[0].recurrenceGroup, 'g1');
+  assert.equal(busy[1].booking, 'b1');
+});
+
+test('room occupancy can leave out the booking being changed and its series', async (t) => {
+  const r1 = room('r1');
+  useData(t, {
+    rooms: [r1],
+    bookings: [booking('b1', 'r1', at(9, 9), at(9, 10)), booking('b2', 'r1', at(9, 13), at(9, 14))],
+    groups: [mondayStandup('g1', 'r1')]
+  });
+
+  const busy = await getRoomOccupancy(r1, at(9, 8), at(9, 18), { excludeBookingId: 'b1', excludeRecurrenceGroupId: 'g1' });
+
+  assert.deepEqual(busy.map(interval => interval.booking), ['b2']);
+});
+
+test('free slots are the step-aligned starts that fit between busy intervals', () => {
+  const busy = [
+    { startTime: at(9, 9, 45), endTime: at(9, 10, 15) },
+    { startTime: at(9, 11), endTime: at(9, 12) }
+  ];
+
+  const slots = findFreeSlots(busy, at(9, 9), at(9, 13), 30 * 60 * 1000);
+
+  assert.deepEqual(slots.map(slot => slot.startTime), [
+    at(9, 9), at(9, 9, 15),
+    at(9, 10, 15), at(9, 10, 30),
+    at(9, 12), at(9, 12, 15), at(9, 12, 30)
+  ]);
+  assert.deepEqual(slots[0].endTime, at(9, 9, 30));
+});
+
+test('free slots honour the step and the limit', () => {
+  const slots = findFreeSlots([], at(9, 9), at(9, 17), 60 * 60 * 1000, { stepMs: 60 * 60 * 1000, limit: 3 });
+
+  assert.deepEqual(slots.map(slot => slot.startTime), [at(9, 9), at(9, 10), at(9, 11)]);
+});
+
+test('no free slots when the duration does not fit the window', () => {
+  assert.deepEqual(findFreeSlots([], at(9, 9), at(9, 9, 30), 60 * 60 * 1000), []);
+  assert.deepEqual(findFreeSlots([{ startTime: at(9, 8), endTime: at(9, 18) }], at(9, 9), at(9, 17), 15 * 60 * 1000), []);
+});
+
+test('a room is free until its next booking starts, less the setup buffer', async (t) => {
+  const plain = room('r1');
+  const buffered = room('r2', 10, 0);
+  useData(t, {
+    rooms: [plain, buffered],
+    bookings: [booking('b1', 'r1', at(3, 11), at(3, 12)), booking('b2', 'r2', at(3, 11), at(3, 12))]
+  });
+
+  assert.deepEqual(await getFreeUntil(plain, at(3, 9), at(3, 17)), at(3, 11));
+  assert.deepEqual(await getFreeUntil(buffered, at(3, 9), at(3, 17)), at(3, 10, 50));
+});
+
+test('a room with nothing coming up is free until the end of the window', async (t) => {
+  const r1 = room('r1');
+  useData(t, { rooms: [r1], bookings: [booking('b1', 'r1', at(3, 18), at(3, 19))] });
+
+  assert.deepEqual(await getFreeUntil(r1, at(3, 9), at(3, 17)), at(3, 17));
+});
+
+test('a room that is in use or being cleared is not free at all', async (t) => {
+  const r1 = room('r1', 0, 15);
+  useData(t, { rooms: [r1], bookings: [booking('b1', 'r1', at(3, 8), at(3, 9))] });
+
+  assert.deepEqual(await getFreeUntil(r1, at(3, 8, 30), at(3, 17)), at(3, 8, 30));
+  assert.deepEqual(await getFreeUntil(r1, at(3, 9, 10), at(3, 17)), at(3, 9, 10));
+  assert.deepEqual(await getFreeUntil(r1, at(3, 9, 15), at(3, 17)), at(3, 17));
+});
+
+test('a booking being extended does not cut short its own free time', async (t) => {
+  const r1 = room('r1');
+  useData(t, {
+    rooms: [r1],
+    bookings: [booking('b1', 'r1', at(9, 8), at(9, 9)), booking('b2', 'r1', at(9, 11), at(9, 12))],
+    groups: [mondayStandup('g1', 'r1')]
+  });
+
+  assert.deepEqual(await getFreeUntil(r1, at(9, 9), at(9, 17), { excludeBookingId: 'b1' }), at(9, 9));
+  assert.deepEqual(
+    await getFreeUntil(r1, at(9, 9), at(9, 17), { excludeBookingId: 'b1', excludeRecurrenceGroupId: 'g1' }),
+    at(9, 11)
+  );
+});
+
+test('location searches match the text literally', () => {
+  assert.ok(locationPattern('building a').test('Building A, 2nd floor'));
+  assert.ok(locationPattern('(annex)').test('Main (Annex)'));
+  assert.equal(locationPattern('a.c').test('abc'), false);
+  assert.doesNotThrow(() => locationPattern('(['));
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const Lock = require('../models/Lock');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const RecurrenceGroup = require('../models/RecurrenceGroup');
+const Notification = require('../models/Notification');
+const QuotaService = require('../services/quotaService');
+const HistoryService = require('../services/historyService');
+const NotificationService = require('../services/notificationService');
+const { createBooking } = require('../controllers/bookingController');
+const { lockRequestRoom } = require('../middleware/roomLock');
+const { acquireLocks, withRoomLock, roomLockKeys, resourceLockKeys } = require('../utils/lock');
+
+// In-memory stand-in for the locks collection and its unique key index
+const useLockStore = (t) => {
+  const leases = new Map();
+
+  t.mock.method(Lock, 'findOneAndUpdate', async (filter, update) => {
+    const lease = leases.get(filter.key);
+    if (lease && lease.expiresAt > filter.expiresAt.$lte) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    leases.set(filter.key, { ...update.$set });
+  });
+  t.mock.method(Lock, 'deleteOne', async ({ key, owner }) => {
+    if (leases.has(key) && leases.get(key).owner === owner) {
+      leases.delete(key);
+    }
+  });
+  t.mock.method(Lock, 'updateOne', async ({ key, owner }, update) => {
+    if (leases.has(key) && leases.get(key).owner === owner) {
+      Object.assign(leases.get(key), update.$set);
+    }
+  });
+
+  return leases;
+};
+
+test('lock keys are namespaced by kind and skip empty ids', () => {
+  assert.deepEqual(roomLockKeys(['a', null, 'b']), ['room:a', 'room:b']);
+  assert.deepEqual(resourceLockKeys([undefined, 'p']), ['resource:p']);
+});
+
+test('acquireLocks takes every key once and release frees them', async (t) => {
+  const leases = useLockStore(t);
+
+  const release = await acquireLocks(['room:b', 'room:a', 'room:b']);
+
+  assert.deepEqual([...leases.keys()], ['room:a', 'room:b']);
+  await release();
+  assert.equal(leases.size, 0);
+});
+
+test('a busy key fails with a 409 after waiting and gives back what it took', async (t) => {
+  const leases = useLockStore(t);
+  const release = await acquireLocks(['room:b']);
+
+  await assert.rejects(acquireLocks(['room:a', 'room:b'], { waitMs: 50 }), { statusCode: 409 });
+  assert.deepEqual([...leases.keys()], ['room:b']);
+
+  await release();
+});
+
+test('a key is taken as soon as its holder releases it', async (t) => {
+  useLockStore(t);
+  const first = await acquireLocks(['room:a']);
+
+  const waiting = acquireLocks(['room:a'], { waitMs: 1000 });
+  setTimeout(first, 30);
+
+  const second = await waiting;
+  await second();
+});
+
+test('an expired lease can be taken over', async (t) => {
+  const leases = useLockStore(t);
+  leases.set('room:a', { owner: 'crashed', expiresAt: new Date(Date.now() - 1000) });
+
+  const release = await acquireLocks(['room:a'], { waitMs: 0 });
+
+  assert.notEqual(leases.get('room:a').owner, 'crashed');
+  await release();
+});
+
+test('held leases are renewed until released', async (t) => {
+  const leases = useLockStore(t);
+  const release = await acquireLocks(['room:a'], { ttlMs: 1500 });
+  const firstExpiry = leases.get('room:a').expiresAt;
+
+  await new Promise(resolve => setTimeout(resolve, 1100));
+
+  assert.ok(leases.get('room:a').expiresAt > firstExpiry);
+  await release();
+});
+
+test('withRoomLock holds rooms and resources for the work and releases them on errors', async (t) => {
+  const leases = useLockStore(t);
+  let heldDuringWork;
+
+  await assert.rejects(withRoomLock(['r1'], async () => {
+    heldDuringWork = [...leases.keys()];
+    throw new Error('failed');
+  }, { resourceIds: ['p1'] }), { message: 'failed' });
+
+  assert.deepEqual(heldDuringWork, ['resource:p1', 'room:r1']);
+  assert.equal(leases.size, 0);
+});
+
+// Runs a request through the room lock and the booking handler the way the router does
+const send = (middleware, handler, req) => new Promise((resolve) => {
+  const res = new EventEmitter();
+  res.status = (statusCode) => Object.assign(res, { statusCode });
+  res.json = (body) => {
+    resolve({ statusCode: res.statusCode, body });
+    res.emit('finish');
+  };
+  const fail = (error) => {
+    resolve({ statusCode: error.statusCode || 500, body: { message: error.message } });
+    res.emit('finish');
+  };
+
+  middleware(req, res, (error) => (error ? fail(error) : handler(req, res, fail)));
+});
+
+test('only one of several parallel requests for the same slot is booked', async (t) => {
+  useLockStore(t);
+  const room = { _id: 'r1', name: 'Boardroom', capacity: 10, bufferBeforeMinutes: 0, bufferAfterMinutes: 0 };
+  const bookings = [];
+
+  t.mock.method(Room, 'findById', () => Object.assign(Promise.resolve(room), { select: async () => room }));
+  t.mock.method(Booking, 'find', () => ({ sort: async () => bookings.filter(booking => booking.status === 'confirmed') }));
+  t.mock.method(RecurrenceGroup, 'find', async () => []);
+  t.mock.method(Booking, 'create', async (fields) => {
+    // Slow enough that unlocked requests would all pass the conflict check first
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const booking = { ...fields, _id: `b${bookings.length + 1}`, populate: async () => { booking.room = room; } };
+    bookings.push(booking);
+    return booking;
+  });
+  t.mock.method(QuotaService, 'checkBooking', async () => []);
+  t.mock.method(HistoryService, 'record', async () => {});
+  t.mock.method(Notification, 'create', async () => {});
+  t.mock.method(NotificationService, 'notifyAdminsOfUserAction', async () => {});
+  t.mock.method(NotificationService, 'notifyAttendeesOfMeeting', async () => {});
+  t.mock.method(NotificationService, 'emailExternalGuests', async () => {});
+
+  const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  startTime.setHours(10, 0, 0, 0);
+  const endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+
+  const responses = await Promise.all(Array.from({ length: 5 }, (_, i) => send(lockRequestRoom, createBooking, {
+    user: { _id: `u${i}`, role: 'user', email: `u${i}@example.com` },
+    body: { room: 'r1', title: `Meeting ${i}`, startTime: startTime.toISOString(), endTime: endTime.toISOString(), attendees: [`u${i}`] }
+  })));
+
+  const statusCodes = responses.map(response => response.statusCode).sort();
+  assert.deepEqual(statusCodes, [201, 400, 400, 400, 400]);
+  assert.equal(Booking.create.mock.callCount(), 1);
+  assert.ok(responses.filter(response => response.statusCode === 400).every(response => response.body.canJoinWaitlist));
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BookingQuota = require('../models/BookingQuota');
+const QuotaService = require('../services/quotaService');
+
+const at = (day, hour, minute = 0) => new Date(2026, 10, day, hour, minute);
+const slot = (day, startHour, endHour) => ({ startTime: at(day, startHour), endTime: at(day, endHour) });
+
+const member = { _id: 'u1', role: 'user', department: 'sales' };
+
+// Limits, hours already booked per week (keyed by the week's Sunday) and current usage
+const useQuota = (t, { limits = {}, hoursByWeek = {}, usage = {} } = {}) => {
+  t.mock.method(QuotaService, 'resolveQuota', async () => ({
+    limits: { ...QuotaService.DEFAULT_QUOTA, ...limits },
+    sources: {}
+  }));
+  t.mock.method(QuotaService, 'hoursInWeek', async (userId, weekStart) => hoursByWeek[weekStart.getDate()] || 0);
+  t.mock.method(QuotaService, 'getUsage', async () => ({
+    hoursThisWeek: 0,
+    futureBookings: 0,
+    activeSeries: 0,
+    ...usage
+  }));
+};
+
+test('admins are never limited', async (t) => {
+  useQuota(t, { limits: { maxHoursPerWeek: 0, maxFutureBookings: 0 } });
+
+  assert.deepEqual(await QuotaService.checkBooking({ _id: 'a1', role: 'admin' }, [slot(3, 9, 17)]), []);
+});
+
+test('a booking within every limit passes', async (t) => {
+  useQuota(t, { hoursByWeek: { 1: 30 }, usage: { futureBookings: 19 } });
+
+  assert.deepEqual(await QuotaService.checkBooking(member, [slot(3, 9, 17)]), []);
+});
+
+test('weekly hours are checked for each week the slots fall in', async (t) => {
+  // 8 hours booked in the week of 1 November, 36 in the week of 8 November
+  useQuota(t, { limits: { maxHoursPerWeek: 40 }, hoursByWeek: { 1: 8, 8: 36 } });
+
+  const errors = await QuotaService.checkBooking(member, [slot(3, 9, 17), slot(10, 9, 12), slot(12, 9, 11)]);
+
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].field, 'maxHoursPerWeek');
+  assert.deepEqual(errors[0].weeks, [{ weekStart: 'Sun Nov 08 2026', bookedHours: 36, requestedHours: 5 }]);
+});
+
+test('a booking that exactly uses up the week is allowed', async (t) => {
+  useQuota(t, { limits: { maxHoursPerWeek: 10 }, hoursByWeek: { 1: 2 } });
+
+  assert.deepEqual(await QuotaService.checkBooking(member, [slot(3, 9, 17)]), []);
+});
+
+test('one-off bookings count against upcoming bookings, series against active series', async (t) => {
+  useQuota(t, { limits: { maxFutureBookings: 3, maxRecurringSeries: 1 }, usage: { futureBookings: 2, activeSeries: 1 } });
+
+  const oneOff = await QuotaService.checkBooking(member, [slot(3, 9, 10), slot(4, 9, 10)]);
+  const series = await QuotaService.checkBooking(member, [slot(3, 9, 10), slot(4, 9, 10)], { recurring: true });
+
+  assert.deepEqual(oneOff.map(error => error.field), ['maxFutureBookings']);
+  assert.deepEqual(series.map(error => error.field), ['maxRecurringSeries']);
+});
+
+test('department overrides win over role overrides, which win over the defaults', async (t) => {
+  t.mock.method(BookingQuota, 'find', async () => [
+    { scope: 'department', key: 'sales', maxHoursPerWeek: 10 },
+    { scope: 'role', key: 'user', maxHoursPerWeek: 20, maxFutureBookings: 5, maxRecurringSeries: null }
+  ]);
+
+  const { limits, sources } = await QuotaService.resolveQuota(member);
+
+  assert.deepEqual(limits, {
+    maxHoursPerWeek: 10,
+    maxFutureBookings: 5,
+    maxRecurringSeries: QuotaService.DEFAULT_QUOTA.maxRecurringSeries
+  });
+  assert.deepEqual(sources, {
+    maxHoursPerWeek: 'department:sales',
+    maxFutureBookings: 'role:user',
+    maxRecurringSeries: 'default'
+  });
+});
+
+test('a booking being changed is only checked against the weekly hours, without its old time', async (t) => {
+  useQuota(t, { limits: { maxHoursPerWeek: 10, maxFutureBookings: 1 }, hoursByWeek: { 1: 8 }, usage: { futureBookings: 1 } });
+
+  assert.deepEqual(await QuotaService.checkBooking(member, [slot(3, 9, 11)], { excludeBookingId: 'b1' }), []);
+  assert.deepEqual(QuotaService.hoursInWeek.mock.calls[0].arguments.slice(2), ['b1']);
+
+  const errors = await QuotaService.checkBooking(member, [slot(3, 9, 12)], { excludeBookingId: 'b1' });
+  assert.deepEqual(errors.map(error => error.field), ['maxHoursPerWeek']);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseRRule,
+  normalizeRule,
+  ruleFromGroup,
+  toRRule,
+  generateOccurrenceDates
+} = require('../utils/recurrenceRule');
+
+const days = (dates) => dates.map(date => date.toDateString());
+
+test('weekly rules repeat on each listed weekday', () => {
+  // Monday 2 November 2026
+  const dates = generateOccurrenceDates(new Date(2026, 10, 2), new Date(2026, 10, 15), { frequency: 'weekly', daysOfWeek: [1, 3] });
+
+  assert.deepEqual(days(dates), [
+    'Mon Nov 02 2026',
+    'Wed Nov 04 2026',
+    'Mon Nov 09 2026',
+    'Wed Nov 11 2026'
+  ]);
+});
+
+test('weekly rules default to the weekday of the first date', () => {
+  const dates = generateOccurrenceDates(new Date(2026, 10, 4), null, { frequency: 'weekly', count: 3 });
+
+  assert.deepEqual(days(dates), ['Wed Nov 04 2026', 'Wed Nov 11 2026', 'Wed Nov 18 2026']);
+});
+
+test('daily rules with BYDAY only fall on those weekdays', () => {
+  const dates = generateOccurrenceDates(new Date(2026, 10, 2), null, parseRRule('FREQ=DAILY;BYDAY=MO,WE,FR;COUNT=5'));
+
+  assert.deepEqual(days(dates), [
+    'Mon Nov 02 2026',
+    'Wed Nov 04 2026',
+    'Fri Nov 06 2026',
+    'Mon Nov 09 2026',
+    'Wed Nov 11 2026'
+  ]);
+});
+
+test('daily rules every 7 days never reach an excluded weekday', () => {
+  const dates = generateOccurrenceDates(new Date(2026, 10, 2), null, parseRRule('FREQ=DAILY;INTERVAL=7;BYDAY=TU;COUNT=3'));
+
+  assert.deepEqual(dates, []);
+});
+
+test('daily rules without BYDAY run every interval days up to the end date', () => {
+  const dates = generateOccurrenceDates(new Date(2026, 10, 2), new Date(2026, 10, 8), { frequency: 'daily', interval: 2 });
+
+  assert.deepEqual(days(dates), ['Mon Nov 02 2026', 'Wed Nov 04 2026', 'Fri Nov 06 2026', 'Sun Nov 08 2026']);
+});
+
+test('daily groups ignore the weekday recorded in their legacy dayOfWeek', () => {
+  const group = { recurrencePattern: 'daily', interval: 1, daysOfWeek: [], dayOfWeek: 1, startDate: new Date(2026, 10, 2) };
+
+  const dates = generateOccurrenceDates(group.startDate, new Date(2026, 10, 6), ruleFromGroup(group));
+
+  assert.equal(dates.length, 5);
+});
+
+test('monthly rules skip months without the day', () => {
+  const dates = generateOccurrenceDates(new Date(2026, 0, 31), new Date(2026, 4, 31), { frequency: 'monthly' });
+
+  assert.deepEqual(days(dates), ['Sat Jan 31 2026', 'Tue Mar 31 2026', 'Sun May 31 2026']);
+});
+
+test('monthly rules by weekday pick the nth or last weekday', () => {
+  const first = generateOccurrenceDates(new Date(2026, 0, 1), null, parseRRule('FREQ=MONTHLY;BYDAY=1TU;COUNT=2'));
+  const last = generateOccurrenceDates(new Date(2026, 0, 1), null, parseRRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=2'));
+
+  assert.deepEqual(days(first), ['Tue Jan 06 2026', 'Tue Feb 03 2026']);
+  assert.deepEqual(days(last), ['Fri Jan 30 2026', 'Fri Feb 27 2026']);
+});
+
+test('UNTIL stops a rule before the end date', () => {
+  const dates = generateOccurrenceDates(new Date(2026, 10, 2), new Date(2026, 11, 31), parseRRule('FREQ=WEEKLY;BYDAY=MO;UNTIL=20261110'));
+
+  assert.deepEqual(days(dates), ['Mon Nov 02 2026', 'Mon Nov 09 2026']);
+});
+
+test('rules need an end date or a count', () => {
+  assert.throws(
+    () => generateOccurrenceDates(new Date(2026, 10, 2), null, { frequency: 'weekly' }),
+    { statusCode: 400, message: 'Recurrence needs an end date or an occurrence count' }
+  );
+});
+
+test('invalid rules are rejected with a 400', () => {
+  assert.throws(() => parseRRule('FREQ=YEARLY'), { statusCode: 400 });
+  assert.throws(() => parseRRule('FREQ=WEEKLY;BYHOUR=9'), { statusCode: 400 });
+  assert.throws(() => normalizeRule({ frequency: 'weekly', daysOfWeek: [7] }), { statusCode: 400 });
+  assert.throws(() => normalizeRule({ frequency: 'monthly', weekOfMonth: 1, daysOfWeek: [1, 2] }), { statusCode: 400 });
+});
+
+test('rules round-trip through RRULE text', () => {
+  const rule = parseRRule('FREQ=MONTHLY;INTERVAL=2;BYDAY=2WE;COUNT=6');
+
+  assert.equal(toRRule(rule), 'FREQ=MONTHLY;INTERVAL=2;BYDAY=2WE;COUNT=6');
+});
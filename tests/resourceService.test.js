@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../models/Booking');
+const Resource = require('../models/Resource');
+const ResourceService = require('../services/resourceService');
+
+const at = (day, hour, minute = 0) => new Date(2026, 10, day, hour, minute);
+
+const reservation = (id, startTime, endTime, resources, status = 'confirmed') => ({ _id: id, startTime, endTime, resources, status });
+const uses = (resource, quantity) => ({ resource, quantity });
+
+// Serve resources and the bookings holding them from memory
+const useData = (t, { resources = [], bookings = [] }) => {
+  t.mock.method(Resource, 'find', async ({ _id }) => resources.filter(resource => _id.$in.includes(resource._id)));
+  t.mock.method(Booking, 'find', (query) => ({
+    sort: async () => bookings
+      .filter(booking =>
+        booking.resources.some(entry => entry.resource === query['resources.resource']) &&
+        query.status.$in.includes(booking.status) &&
+        booking.startTime < query.startTime.$lt &&
+        booking.endTime > query.endTime.$gt &&
+        (!query._id || booking._id !== query._id.$ne))
+      .sort((a, b) => a.startTime - b.startTime)
+  }));
+};
+
+const projectors = { _id: 'p1', name: 'Projector', quantity: 3, isActive: true };
+
+test('requests for the same resource are added up', () => {
+  assert.deepEqual(
+    ResourceService.normalizeRequests([uses('p1', 1), uses({ _id: 'p2' }, 2), uses('p1', '2'), { resource: 'p2' }]),
+    [uses('p1', 3), uses('p2', 3)]
+  );
+  assert.deepEqual(ResourceService.normalizeRequests(null), []);
+});
+
+test('bookings that do not overlap each other do not add up', () => {
+  const reservations = [
+    reservation('b1', at(3, 9), at(3, 10), [uses('p1', 2)]),
+    reservation('b2', at(3, 11), at(3, 12), [uses('p1', 2)])
+  ];
+
+  assert.equal(ResourceService.peakReserved(reservations, 'p1', at(3, 8), at(3, 18)), 2);
+});
+
+test('back-to-back bookings can hand a unit on', () => {
+  const reservations = [
+    reservation('b1', at(3, 9), at(3, 10), [uses('p1', 2)]),
+    reservation('b2', at(3, 10), at(3, 11), [uses('p1', 1)])
+  ];
+
+  assert.equal(ResourceService.peakReserved(reservations, 'p1', at(3, 8), at(3, 18)), 2);
+});
+
+test('overlapping bookings add up, counting only the resource asked about', () => {
+  const reservations = [
+    reservation('b1', at(3, 9), at(3, 11), [uses('p1', 1), uses('p2', 5), uses('p1', 1)]),
+    reservation('b2', at(3, 10), at(3, 12), [uses('p1', 1)]),
+    reservation('b3', at(3, 10, 30), at(3, 13), [uses('p2', 1)])
+  ];
+
+  assert.equal(ResourceService.peakReserved(reservations, 'p1', at(3, 8), at(3, 18)), 3);
+});
+
+test('bookings are only counted within the window', () => {
+  const reservations = [
+    reservation('b1', at(3, 9), at(3, 11), [uses('p1', 2)]),
+    reservation('b2', at(3, 10), at(3, 12), [uses('p1', 1)])
+  ];
+
+  // b1 has ended by the time the window opens, so only b2 is out
+  assert.equal(ResourceService.peakReserved(reservations, 'p1', at(3, 11), at(3, 12)), 1);
+});
+
+test('a request within what is free passes', async (t) => {
+  useData(t, { resources: [projectors], bookings: [reservation('b1', at(3, 9), at(3, 11), [uses('p1', 2)])] });
+
+  assert.deepEqual(await ResourceService.checkAvailability([uses('p1', 1)], [{ startTime: at(3, 10), endTime: at(3, 12) }]), []);
+  assert.deepEqual(await ResourceService.checkAvailability([uses('p1', 3)], [{ startTime: at(3, 11), endTime: at(3, 12) }]), []);
+});
+
+test('a request for more than is free reports what is left', async (t) => {
+  useData(t, {
+    resources: [projectors],
+    bookings: [
+      reservation('b1', at(3, 9), at(3, 11), [uses('p1', 2)]),
+      reservation('b2', at(3, 9), at(3, 11), [uses('p1', 1)], 'cancelled')
+    ]
+  });
+
+  const errors = await ResourceService.checkAvailability([uses('p1', 2)], [{ startTime: at(3, 10), endTime: at(3, 12) }]);
+
+  assert.deepEqual(errors, [{
+    field: 'resources',
+    resource: 'p1',
+    message: 'Only 1 of Projector are free for this time, but 2 were requested',
+    requested: 2,
+    available: 1
+  }]);
+});
+
+test('series report the dates that are short', async (t) => {
+  useData(t, { resources: [projectors], bookings: [reservation('b1', at(10, 9), at(10, 11), [uses('p1', 3)])] });
+  const slots = [3, 10, 17].map(day => ({ startTime: at(day, 10), endTime: at(day, 11) }));
+
+  const [error] = await ResourceService.checkAvailability([uses('p1', 1)], slots);
+
+  assert.equal(error.available, 0);
+  assert.deepEqual(error.dates, [at(10, 10).toDateString()]);
+});
+
+test('the booking being changed does not hold up its own resources', async (t) => {
+  useData(t, { resources: [projectors], bookings: [reservation('b1', at(3, 9), at(3, 11), [uses('p1', 3)])] });
+  const slots = [{ startTime: at(3, 10), endTime: at(3, 12) }];
+
+  assert.deepEqual(await ResourceService.checkAvailability([uses('p1', 3)], slots, { excludeBookingId: 'b1' }), []);
+  assert.equal((await ResourceService.checkAvailability([uses('p1', 3)], slots)).length, 1);
+});
+
+test('unknown, inactive and over-sized requests are rejected before looking at bookings', async (t) => {
+  useData(t, { resources: [projectors, { _id: 'p2', name: 'Camera', quantity: 1, isActive: false }] });
+  const slots = [{ startTime: at(3, 10), endTime: at(3, 11) }];
+
+  const errors = await ResourceService.checkAvailability([uses('p1', 4), uses('p2', 1), uses('p3', 1)], slots);
+
+  assert.deepEqual(errors.map(error => [error.resource, error.message]), [
+    ['p1', 'Only 3 of Projector exist, but 4 were requested'],
+    ['p2', 'Resource not found or not available'],
+    ['p3', 'Resource not found or not available']
+  ]);
+  assert.equal(Booking.find.mock.callCount(), 0);
+});
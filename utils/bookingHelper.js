@@ -1,50 +1,111 @@
 const moment = require('moment'); // Date utility
 const Booking = require('../models/Booking');
+const { generateOccurrenceDates, ruleFromGroup } = require('./recurrenceRule');
+
+// Statuses that occupy a room slot (pending approval requests block it tentatively)
+exports.BLOCKING_STATUSES = ['confirmed', 'in_progress', 'held', 'pending'];
+
+// Bookings that are going ahead, running or took place (used by analytics)
+exports.COUNTED_STATUSES = ['confirmed', 'in_progress', 'completed'];
+
+// Turnaround gap a room needs between two bookings, in milliseconds:
+// the teardown after one meeting plus the setup before the next
+exports.getRoomTurnaround = async (roomOrId) => {
+  let room = roomOrId;
+  if (!room || room.bufferBeforeMinutes === undefined) {
+    const Room = require('../models/Room');
+    room = await Room.findById(roomOrId).select('bufferBeforeMinutes bufferAfterMinutes');
+  }
+  if (!room) {
+    return 0;
+  }
+  return ((room.bufferBeforeMinutes || 0) + (room.bufferAfterMinutes || 0)) * 60 * 1000;
+};
+
+// Find bookings that overlap a time range in a room, including the room's buffer times
+exports.findConflictingBookings = async (roomId, startTime, endTime, { excludeBookingId = null, populate = null } = {}) => {
+  const turnaround = await exports.getRoomTurnaround(roomId);
 
-// Check for overlapping bookings
-exports.checkOverlap = async (roomId, startTime, endTime, excludeBookingId = null) => {
   const query = {
     room: roomId,
-    status: 'confirmed',
-    $or: [
-      // New booking starts during existing booking
-      { startTime: { $lte: startTime }, endTime: { $gt: startTime } },
-      // New booking ends during existing booking
-      { startTime: { $lt: endTime }, endTime: { $gte: endTime } },
-      // New booking completely contains existing booking
-      { startTime: { $gte: startTime }, endTime: { $lte: endTime } },
-      // Existing booking completely contains new booking
-      { startTime: { $lte: startTime }, endTime: { $gte: endTime } }
-    ]
+    status: { $in: exports.BLOCKING_STATUSES },
+    startTime: { $lt: new Date(endTime.getTime() + turnaround) },
+    endTime: { $gt: new Date(startTime.getTime() - turnaround) }
   };
 
-  // Exclude current booking when updating
-  if (excludeBookingId) {
+  // Exclude current booking(s) when updating
+  if (Array.isArray(excludeBookingId)) {
+    query._id = { $nin: excludeBookingId };
+  } else if (excludeBookingId) {
     query._id = { $ne: excludeBookingId };
   }
 
-  const overlapping = await Booking.findOne(query);
-  return !!overlapping;
+  const bookings = Booking.find(query).sort('startTime');
+  return populate ? bookings.populate(populate) : bookings;
 };
 
-// Generate recurring booking dates
-exports.generateRecurringDates = (startDate, endDate, dayOfWeek) => {
-  const dates = [];
-  const current = new Date(startDate);
-  const end = new Date(endDate);
-
-  // Find the first occurrence of the day of week
-  while (current.getDay() !== dayOfWeek) {
-    current.setDate(current.getDate() + 1);
+// Check for overlapping bookings
+exports.checkOverlap = async (roomId, startTime, endTime, excludeBookingId = null) => {
+  const overlapping = await exports.findConflictingBookings(roomId, startTime, endTime, { excludeBookingId });
+  return overlapping.length > 0;
+};
+
+// External guests with trimmed names and emails, each email listed once
+exports.normalizeGuests = (guests = []) => {
+  const byEmail = new Map();
+  for (const guest of guests || []) {
+    const email = String(guest.email || '').trim().toLowerCase();
+    if (email && !byEmail.has(email)) {
+      byEmail.set(email, { name: String(guest.name || '').trim(), email });
+    }
   }
+  return [...byEmail.values()];
+};
 
-  // Generate all occurrences
-  while (current <= end) {
-    dates.push(new Date(current));
-    current.setDate(current.getDate() + 7); // Add one week
+// Case-insensitive match for locations containing the searched text, taken literally
+exports.locationPattern = (location) => new RegExp(String(location).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+// Start of the local day, the form exception dates are stored in
+exports.toDateOnly = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Drop dates that fall on one of the exception dates
+exports.excludeExceptionDates = (dates, exceptionDates = []) => {
+  if (!exceptionDates || exceptionDates.length === 0) {
+    return dates;
   }
+  const skipped = new Set(exceptionDates.map(date => new Date(date).toDateString()));
+  return dates.filter(date => !skipped.has(date.toDateString()));
+};
+
+// Generate recurring booking dates
+// `rule` is a recurrence rule object or RecurrenceGroup; a plain number is treated as a weekly weekday
+exports.generateRecurringDates = (startDate, endDate, rule) => {
+  if (typeof rule === 'number') {
+    return generateOccurrenceDates(startDate, endDate, { frequency: 'weekly', daysOfWeek: [rule] });
+  }
+  if (rule && rule.recurrencePattern) {
+    const dates = generateOccurrenceDates(startDate, endDate, ruleFromGroup(rule));
+    return exports.excludeExceptionDates(dates, rule.exceptionDates);
+  }
+  return generateOccurrenceDates(startDate, endDate, rule);
+};
+
+// Record a skipped occurrence so the series pattern stops blocking that slot
+exports.addRecurrenceException = async (recurrenceGroupId, date) => {
+  const RecurrenceGroup = require('../models/RecurrenceGroup');
+  await RecurrenceGroup.updateOne(
+    { _id: recurrenceGroupId },
+    { $addToSet: { exceptionDates: exports.toDateOnly(date) } }
+  );
+};
 
-  return dates;
+// Format the time of day of a date as "H:mm" (the RecurrenceGroup base time format)
+exports.toTimeString = (date) => {
+  return `${date.getHours()}:${date.getMinutes().toString().padStart(2, '0')}`;
 };
 
 // Combine date and time
@@ -56,7 +117,8 @@ exports.combineDateAndTime = (date, timeString) => {
 };
 
 // Enhanced overlap check that includes recurring bookings
-exports.checkOverlapWithRecurring = async (roomId, startTime, endTime, excludeBookingId = null) => {
+// excludeRecurrenceGroupId skips a series' own pattern when editing its occurrences
+exports.checkOverlapWithRecurring = async (roomId, startTime, endTime, excludeBookingId = null, excludeRecurrenceGroupId = null) => {
   // First check regular bookings
   const hasRegularOverlap = await exports.checkOverlap(roomId, startTime, endTime, excludeBookingId);
   if (hasRegularOverlap) {
@@ -65,25 +127,28 @@ exports.checkOverlapWithRecurring = async (roomId, startTime, endTime, excludeBo
 
   // Then check against recurring booking patterns
   const RecurrenceGroup = require('../models/RecurrenceGroup');
-  const activeRecurrenceGroups = await RecurrenceGroup.find({
+  const turnaround = await exports.getRoomTurnaround(roomId);
+  const groupQuery = {
     room: roomId,
-    startDate: { $lte: endTime },
-    endDate: { $gte: startTime }
-  });
+    isActive: true,
+    startDate: { $lte: new Date(endTime.getTime() + turnaround) },
+    endDate: { $gte: new Date(startTime.getTime() - turnaround) }
+  };
+  if (excludeRecurrenceGroupId) {
+    groupQuery._id = { $ne: excludeRecurrenceGroupId };
+  }
+  const activeRecurrenceGroups = await RecurrenceGroup.find(groupQuery);
 
   for (const group of activeRecurrenceGroups) {
-    const recurringDates = exports.generateRecurringDates(
-      group.startDate, 
-      group.endDate, 
-      group.dayOfWeek
-    );
+    const recurringDates = exports.generateRecurringDates(group.startDate, group.endDate, group);
 
     for (const date of recurringDates) {
       const recurringStart = exports.combineDateAndTime(date, group.baseStartTime);
       const recurringEnd = exports.combineDateAndTime(date, group.baseEndTime);
       
-      // Check if the new booking overlaps with this recurring instance
-      if ((startTime < recurringEnd && endTime > recurringStart)) {
+      // Check if the new booking overlaps with this recurring instance (buffers included)
+      if (startTime.getTime() < recurringEnd.getTime() + turnaround &&
+          endTime.getTime() > recurringStart.getTime() - turnaround) {
         return true;
       }
     }
@@ -91,3 +156,70 @@ exports.checkOverlapWithRecurring = async (roomId, startTime, endTime, excludeBo
 
   return false;
 };
+
+// Busy intervals of a room within a time window: its bookings and recurring-series
+// occurrences, each widened by the room's buffer times so any free gap can be booked as is
+// The exclude options leave out a booking (and its own series) when it is the one being changed
+exports.getRoomOccupancy = async (roomOrId, windowStart, windowEnd, { excludeBookingId = null, excludeRecurrenceGroupId = null } = {}) => {
+  const RecurrenceGroup = require('../models/RecurrenceGroup');
+  const roomId = roomOrId && roomOrId._id ? roomOrId._id : roomOrId;
+  const turnaround = await exports.getRoomTurnaround(roomOrId);
+  const padded = (startTime, endTime) => ({
+    startTime: new Date(startTime.getTime() - turnaround),
+    endTime: new Date(endTime.getTime() + turnaround)
+  });
+
+  const bookings = await exports.findConflictingBookings(roomId, windowStart, windowEnd, { excludeBookingId });
+  const busy = bookings.map(booking => ({ ...padded(booking.startTime, booking.endTime), booking: booking._id }));
+
+  const groupQuery = {
+    room: roomId,
+    isActive: true,
+    startDate: { $lte: new Date(windowEnd.getTime() + turnaround) },
+    endDate: { $gte: new Date(windowStart.getTime() - turnaround) }
+  };
+  if (excludeRecurrenceGroupId) {
+    groupQuery._id = { $ne: excludeRecurrenceGroupId };
+  }
+  const groups = await RecurrenceGroup.find(groupQuery);
+
+  for (const group of groups) {
+    for (const date of exports.generateRecurringDates(group.startDate, group.endDate, group)) {
+      const interval = padded(
+        exports.combineDateAndTime(date, group.baseStartTime),
+        exports.combineDateAndTime(date, group.baseEndTime)
+      );
+      if (interval.startTime < windowEnd && interval.endTime > windowStart) {
+        busy.push({ ...interval, recurrenceGroup: group._id });
+      }
+    }
+  }
+
+  return busy.sort((a, b) => a.startTime - b.startTime);
+};
+
+// Start times (every stepMs from windowStart) where durationMs fits between busy intervals
+exports.findFreeSlots = (busy, windowStart, windowEnd, durationMs, { stepMs = 15 * 60 * 1000, limit = Infinity } = {}) => {
+  const slots = [];
+
+  for (let start = windowStart.getTime(); start + durationMs <= windowEnd.getTime() && slots.length < limit; start += stepMs) {
+    const end = start + durationMs;
+    const blocked = busy.some(interval => interval.startTime.getTime() < end && interval.endTime.getTime() > start);
+    if (!blocked) {
+      slots.push({ startTime: new Date(start), endTime: new Date(end) });
+    }
+  }
+
+  return slots;
+};
+
+// Latest time up to `until` that a booking ending at `from` can run to before the room is
+// needed again (buffers and recurring series included); returns `from` when none is free
+exports.getFreeUntil = async (roomOrId, from, until, options = {}) => {
+  const busy = await exports.getRoomOccupancy(roomOrId, from, until, options);
+  const next = busy.find(interval => interval.endTime > from && interval.startTime < until);
+  if (!next) {
+    return until;
+  }
+  return next.startTime > from ? next.startTime : from;
+};
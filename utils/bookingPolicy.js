@@ -0,0 +1,132 @@
+// Room booking policies: bookable hours, duration limits and how far ahead bookings may be made
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) ? value : fallback;
+};
+
+const defaultDays = (process.env.BOOKING_DAYS || '0,1,2,3,4,5,6')
+  .split(',')
+  .map(day => parseInt(day, 10))
+  .filter(day => day >= 0 && day <= 6);
+
+// Org-wide defaults; any field a room leaves unset falls back to these
+const DEFAULT_POLICY = {
+  hours: defaultDays.map(day => ({
+    day,
+    open: process.env.BOOKING_OPEN_TIME || '07:00',
+    close: process.env.BOOKING_CLOSE_TIME || '21:00'
+  })),
+  minDurationMinutes: envInt('BOOKING_MIN_DURATION_MINUTES', 15),
+  maxDurationMinutes: envInt('BOOKING_MAX_DURATION_MINUTES', 480),
+  maxAdvanceDays: envInt('BOOKING_MAX_ADVANCE_DAYS', 180),
+  minNoticeMinutes: envInt('BOOKING_MIN_NOTICE_MINUTES', 0)
+};
+
+exports.DEFAULT_POLICY = DEFAULT_POLICY;
+exports.TIME_PATTERN = TIME_PATTERN;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+exports.toMinutes = toMinutes;
+
+// The policy that applies to a room: its own settings over the org defaults
+exports.resolvePolicy = (room) => {
+  const own = (room && room.bookingPolicy) || {};
+  const pick = (field) => (own[field] !== undefined && own[field] !== null ? own[field] : DEFAULT_POLICY[field]);
+
+  return {
+    hours: own.hours && own.hours.length > 0
+      ? own.hours.map(({ day, open, close }) => ({ day, open, close }))
+      : DEFAULT_POLICY.hours,
+    minDurationMinutes: pick('minDurationMinutes'),
+    maxDurationMinutes: pick('maxDurationMinutes'),
+    maxAdvanceDays: pick('maxAdvanceDays'),
+    minNoticeMinutes: pick('minNoticeMinutes')
+  };
+};
+
+// Check one slot against a policy; returns field-level errors like express-validator's
+// skipStartChecks leaves out notice and advance limits (e.g. when only the end moves)
+exports.checkBookingPolicy = (policy, startTime, endTime, { now = new Date(), skipStartChecks = false } = {}) => {
+  const errors = [];
+  const durationMinutes = (endTime - startTime) / 60000;
+
+  if (policy.minDurationMinutes && durationMinutes < policy.minDurationMinutes) {
+    errors.push({ field: 'endTime', message: `Bookings must last at least ${policy.minDurationMinutes} minutes` });
+  }
+  if (policy.maxDurationMinutes && durationMinutes > policy.maxDurationMinutes) {
+    errors.push({ field: 'endTime', message: `Bookings cannot last longer than ${policy.maxDurationMinutes} minutes` });
+  }
+
+  if (!skipStartChecks) {
+    const noticeMinutes = (startTime - now) / 60000;
+    if (noticeMinutes < (policy.minNoticeMinutes || 0)) {
+      errors.push({
+        field: 'startTime',
+        message: policy.minNoticeMinutes
+          ? `Bookings must be made at least ${policy.minNoticeMinutes} minutes in advance`
+          : 'Bookings cannot start in the past'
+      });
+    }
+
+    if (policy.maxAdvanceDays && noticeMinutes > policy.maxAdvanceDays * 24 * 60) {
+      errors.push({ field: 'startTime', message: `Bookings cannot be made more than ${policy.maxAdvanceDays} days in advance` });
+    }
+  }
+
+  // Bookable hours: the whole booking must fall inside one day's opening window
+  const day = startTime.getDay();
+  const window = policy.hours.find(h => h.day === day);
+  if (!window) {
+    errors.push({ field: 'startTime', message: `The room cannot be booked on ${DAY_NAMES[day]}` });
+  } else {
+    const dayStart = new Date(startTime);
+    dayStart.setHours(0, 0, 0, 0);
+    const startMinute = (startTime - dayStart) / 60000;
+    const endMinute = (endTime - dayStart) / 60000;
+
+    if (startMinute < toMinutes(window.open) || endMinute > toMinutes(window.close)) {
+      errors.push({
+        field: endMinute > toMinutes(window.close) && startMinute >= toMinutes(window.open) ? 'endTime' : 'startTime',
+        message: `The room can only be booked between ${window.open} and ${window.close} on ${DAY_NAMES[day]}`
+      });
+    }
+  }
+
+  return errors;
+};
+
+// When the room stops being bookable on the day of `time`; null if it is closed that day
+exports.closingTime = (policy, time) => {
+  const window = policy.hours.find(h => h.day === time.getDay());
+  if (!window) return null;
+
+  const close = new Date(time);
+  close.setHours(0, 0, 0, 0);
+  close.setMinutes(toMinutes(window.close));
+  return close;
+};
+
+// Check many slots (e.g. recurring occurrences); identical errors are merged with the dates they hit
+exports.checkSlotsPolicy = (policy, slots, options = {}) => {
+  const merged = new Map();
+
+  for (const { startTime, endTime } of slots) {
+    for (const error of exports.checkBookingPolicy(policy, startTime, endTime, options)) {
+      const key = `${error.field}:${error.message}`;
+      if (!merged.has(key)) {
+        merged.set(key, { ...error, dates: [] });
+      }
+      merged.get(key).dates.push(startTime.toDateString());
+    }
+  }
+
+  return [...merged.values()];
+};
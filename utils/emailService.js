@@ -29,6 +29,14 @@ exports.sendEmail = async (options) => {
   }
 };
 
+// Escape user-supplied text for use in an email body
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Email templates
 exports.bookingCreatedEmail = (booking, room, user) => {
   return `
@@ -61,3 +69,36 @@ exports.bookingCancelledEmail = (booking, room, user) => {
     <p>Thank you for using Room Booking Lite!</p>
   `;
 };
+
+// Email to an external guest (not a user, so no in-app notifications) about a meeting
+// kind: invitation, rescheduled, updated, moved, cancelled or removed (uninvited);
+// a series lists its occurrence count
+exports.guestMeetingEmail = (booking, room, organizer, guest, kind, occurrenceCount = 1) => {
+  // Guests are outside the organization, so nothing users typed is trusted as markup
+  const title = escapeHtml(booking.title);
+  const organizerName = escapeHtml(organizer.name);
+  const intros = {
+    invitation: `${organizerName} has invited you to a meeting.`,
+    rescheduled: `The meeting "${title}" organized by ${organizerName} has been rescheduled.`,
+    updated: `The meeting "${title}" organized by ${organizerName} has been updated.`,
+    moved: `The meeting "${title}" organized by ${organizerName} has moved to another room.`,
+    cancelled: `The meeting "${title}" organized by ${organizerName} has been cancelled.`,
+    removed: `You are no longer invited to the meeting "${title}" organized by ${organizerName}.`
+  };
+  const series = occurrenceCount > 1 ? ` (${occurrenceCount} occurrences from this date)` : '';
+
+  return `
+    <h2>${kind === 'invitation' ? 'Meeting Invitation' : 'Meeting Update'}</h2>
+    <p>Dear ${escapeHtml(guest.name)},</p>
+    <p>${intros[kind] || intros.updated}</p>
+    <h3>Meeting Details:</h3>
+    <ul>
+      <li><strong>Title:</strong> ${title}</li>
+      <li><strong>Room:</strong> ${escapeHtml(room.name)} (${escapeHtml(room.location)})</li>
+      <li><strong>Start:</strong> ${new Date(booking.startTime).toLocaleString()}${series}</li>
+      <li><strong>End:</strong> ${new Date(booking.endTime).toLocaleString()}</li>
+      <li><strong>Organizer:</strong> ${organizerName} (${escapeHtml(organizer.email)})</li>
+    </ul>
+    <p>Thank you for using Room Booking Lite!</p>
+  `;
+};
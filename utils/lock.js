@@ -0,0 +1,103 @@
+const crypto = require('crypto'); // Lock owner tokens
+const Lock = require('../models/Lock');
+
+const DEFAULT_TTL_MS = 30 * 1000;
+const DEFAULT_WAIT_MS = 5 * 1000;
+const RENEW_MIN_INTERVAL_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Try once to take a lease on a key; returns the owner token or null if it is held
+exports.tryAcquireLock = async (key, ttlMs = DEFAULT_TTL_MS) => {
+  const owner = crypto.randomUUID();
+  const now = new Date();
+
+  try {
+    // Matches only a missing or expired lease; a live lease makes the upsert hit the unique index
+    await Lock.findOneAndUpdate(
+      { key, expiresAt: { $lte: now } },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+    return owner;
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Release a lease, only if we still own it
+exports.releaseLock = async (key, owner) => {
+  await Lock.deleteOne({ key, owner });
+};
+
+// Push a lease's expiry out again, only if we still own it
+exports.renewLock = async (key, owner, ttlMs = DEFAULT_TTL_MS) => {
+  await Lock.updateOne({ key, owner }, { $set: { expiresAt: new Date(Date.now() + ttlMs) } });
+};
+
+// Take leases on several keys (in a fixed order to avoid deadlocks), waiting up to waitMs
+// Resolves to a release function; rejects with a 409 error if the keys stay busy.
+// Held leases are renewed until released, so ttlMs only bounds how long a crashed holder blocks
+exports.acquireLocks = async (keys, { ttlMs = DEFAULT_TTL_MS, waitMs = DEFAULT_WAIT_MS } = {}) => {
+  const uniqueKeys = [...new Set(keys)].sort();
+  const held = [];
+  const deadline = Date.now() + waitMs;
+  let renewal = null;
+
+  const release = async () => {
+    clearInterval(renewal);
+    await Promise.all(held.map(({ key, owner }) => exports.releaseLock(key, owner)));
+  };
+
+  try {
+    for (const key of uniqueKeys) {
+      let owner = await exports.tryAcquireLock(key, ttlMs);
+      while (!owner) {
+        if (Date.now() >= deadline) {
+          const error = new Error('This room is being booked by someone else right now. Please try again.');
+          error.statusCode = 409;
+          throw error;
+        }
+        await sleep(25 + Math.floor(Math.random() * 50));
+        owner = await exports.tryAcquireLock(key, ttlMs);
+      }
+      held.push({ key, owner });
+    }
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  renewal = setInterval(() => {
+    Promise.all(held.map(({ key, owner }) => exports.renewLock(key, owner, ttlMs)))
+      .catch(err => console.error('Lock renewal error:', err));
+  }, Math.max(Math.floor(ttlMs / 3), RENEW_MIN_INTERVAL_MS));
+  // A pending renewal never keeps the process alive
+  renewal.unref();
+
+  return release;
+};
+
+// Lock keys for rooms
+exports.roomLockKeys = (roomIds) => {
+  return roomIds.filter(Boolean).map(id => `room:${id.toString()}`);
+};
+
+// Lock keys for shared resources (equipment reserved by quantity)
+exports.resourceLockKeys = (resourceIds) => {
+  return resourceIds.filter(Boolean).map(id => `resource:${id.toString()}`);
+};
+
+// Run fn while holding leases on the given rooms, plus any resources the work reserves
+exports.withRoomLock = async (roomIds, fn, { resourceIds = [], ...options } = {}) => {
+  const keys = [...exports.roomLockKeys(roomIds), ...exports.resourceLockKeys(resourceIds)];
+  const release = await exports.acquireLocks(keys, options);
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+};
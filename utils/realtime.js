@@ -0,0 +1,20 @@
+// Socket.io broadcasts to clients watching a room (they join `room-<roomId>`)
+
+// Broadcast a booking change to everyone watching the booking's room
+exports.emitBookingUpdate = (io, booking, action) => {
+  if (!io || !booking) return;
+
+  const roomId = (booking.room && booking.room._id) || booking.room;
+  io.to(`room-${roomId}`).emit('booking-update', {
+    action,
+    booking: {
+      _id: booking._id,
+      room: roomId,
+      title: booking.title,
+      status: booking.status,
+      startTime: booking.startTime,
+      endTime: booking.endTime
+    },
+    timestamp: new Date().toISOString()
+  });
+};
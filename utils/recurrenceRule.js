@@ -0,0 +1,276 @@
+// Recurrence rule parsing and date expansion (subset of RFC 5545 RRULE)
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Hard stop so a bad rule can never expand into an unbounded list
+const MAX_OCCURRENCES = 500;
+
+exports.FREQUENCIES = FREQUENCIES;
+exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
+
+const ruleError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+// Parse an RRULE value such as "FREQ=MONTHLY;BYDAY=1TU;UNTIL=20261231"
+exports.parseRRule = (rrule) => {
+  if (!rrule || typeof rrule !== 'string') {
+    throw ruleError('RRULE must be a non-empty string');
+  }
+
+  const rule = { interval: 1 };
+  const body = rrule.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').trim().toUpperCase();
+    const value = (rawValue || '').trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        rule.frequency = value.toLowerCase();
+        if (!FREQUENCIES.includes(rule.frequency)) {
+          throw ruleError(`Unsupported RRULE frequency: ${value}`);
+        }
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        break;
+      case 'UNTIL': {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) {
+          throw ruleError(`Invalid RRULE UNTIL value: ${value}`);
+        }
+        const [, y, m, d, hh = '23', mm = '59', ss = '59', utc] = match;
+        rule.until = utc
+          ? new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss))
+          : new Date(+y, +m - 1, +d, +hh, +mm, +ss);
+        break;
+      }
+      case 'BYDAY': {
+        const days = [];
+        for (const token of value.split(',')) {
+          const match = token.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) {
+            throw ruleError(`Invalid RRULE BYDAY value: ${token}`);
+          }
+          if (match[1]) {
+            rule.weekOfMonth = parseInt(match[1], 10);
+          }
+          days.push(WEEKDAY_CODES.indexOf(match[2]));
+        }
+        rule.daysOfWeek = days;
+        break;
+      }
+      case 'BYMONTHDAY':
+        rule.dayOfMonth = parseInt(value, 10);
+        break;
+      case 'WKST':
+        // Weeks always start on Sunday here, matching Date#getDay
+        break;
+      default:
+        throw ruleError(`Unsupported RRULE part: ${key}`);
+    }
+  }
+
+  if (!rule.frequency) {
+    throw ruleError('RRULE must include FREQ');
+  }
+
+  return exports.normalizeRule(rule);
+};
+
+// Validate a rule object and fill in defaults
+exports.normalizeRule = (input, startDate = null) => {
+  const rule = {
+    frequency: (input.frequency || 'weekly').toLowerCase(),
+    interval: input.interval !== undefined ? parseInt(input.interval, 10) : 1
+  };
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    throw ruleError(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    throw ruleError('Recurrence interval must be a positive whole number');
+  }
+
+  if (input.daysOfWeek !== undefined && input.daysOfWeek !== null) {
+    const days = (Array.isArray(input.daysOfWeek) ? input.daysOfWeek : [input.daysOfWeek])
+      .map(day => parseInt(day, 10));
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw ruleError('Recurrence daysOfWeek must contain weekdays between 0 (Sunday) and 6 (Saturday)');
+    }
+    rule.daysOfWeek = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  if (input.dayOfMonth !== undefined && input.dayOfMonth !== null) {
+    rule.dayOfMonth = parseInt(input.dayOfMonth, 10);
+    if (!Number.isInteger(rule.dayOfMonth) || rule.dayOfMonth < 1 || rule.dayOfMonth > 31) {
+      throw ruleError('Recurrence dayOfMonth must be between 1 and 31');
+    }
+  }
+
+  if (input.weekOfMonth !== undefined && input.weekOfMonth !== null) {
+    rule.weekOfMonth = parseInt(input.weekOfMonth, 10);
+    if (![-1, 1, 2, 3, 4, 5].includes(rule.weekOfMonth)) {
+      throw ruleError('Recurrence weekOfMonth must be 1-5, or -1 for the last week');
+    }
+  }
+
+  if (input.count !== undefined && input.count !== null) {
+    rule.count = parseInt(input.count, 10);
+    if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES) {
+      throw ruleError(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`);
+    }
+  }
+
+  if (input.until) {
+    rule.until = new Date(input.until);
+    if (isNaN(rule.until.getTime())) {
+      throw ruleError('Recurrence end date is invalid');
+    }
+  }
+
+  if (rule.frequency === 'monthly') {
+    if (rule.weekOfMonth !== undefined) {
+      const weekday = rule.daysOfWeek ? rule.daysOfWeek[0] : (startDate ? new Date(startDate).getDay() : undefined);
+      if (weekday === undefined || (rule.daysOfWeek && rule.daysOfWeek.length > 1)) {
+        throw ruleError('Monthly by weekday recurrence needs exactly one weekday');
+      }
+      rule.daysOfWeek = [weekday];
+    } else if (rule.dayOfMonth === undefined && startDate) {
+      rule.dayOfMonth = new Date(startDate).getDate();
+    }
+  } else if (rule.frequency === 'weekly' && !rule.daysOfWeek && startDate) {
+    rule.daysOfWeek = [new Date(startDate).getDay()];
+  }
+
+  return rule;
+};
+
+// Build the rule for a recurring group document (legacy groups only have dayOfWeek,
+// which daily groups record without it limiting their days)
+exports.ruleFromGroup = (group) => {
+  const legacyDay = group.recurrencePattern === 'daily' ? undefined : group.dayOfWeek;
+  return exports.normalizeRule({
+    frequency: group.recurrencePattern,
+    interval: group.interval,
+    daysOfWeek: group.daysOfWeek && group.daysOfWeek.length > 0 ? group.daysOfWeek : legacyDay,
+    dayOfMonth: group.dayOfMonth,
+    weekOfMonth: group.weekOfMonth,
+    count: group.occurrenceCount
+  }, group.startDate);
+};
+
+// Serialize a rule object back to an RRULE value
+exports.toRRule = (rule) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.daysOfWeek && rule.daysOfWeek.length > 0) {
+    const prefix = rule.weekOfMonth !== undefined ? String(rule.weekOfMonth) : '';
+    parts.push(`BYDAY=${rule.daysOfWeek.map(day => prefix + WEEKDAY_CODES[day]).join(',')}`);
+  }
+  if (rule.dayOfMonth !== undefined && rule.weekOfMonth === undefined) {
+    parts.push(`BYMONTHDAY=${rule.dayOfMonth}`);
+  }
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+};
+
+// Nth weekday of a month (weekOfMonth -1 = last), or null when it does not exist
+const nthWeekdayOfMonth = (year, month, weekday, weekOfMonth) => {
+  if (weekOfMonth === -1) {
+    const last = new Date(year, month + 1, 0);
+    last.setDate(last.getDate() - ((last.getDay() - weekday + 7) % 7));
+    return last;
+  }
+  const first = new Date(year, month, 1);
+  const day = 1 + ((weekday - first.getDay() + 7) % 7) + (weekOfMonth - 1) * 7;
+  const date = new Date(year, month, day);
+  return date.getMonth() === month ? date : null;
+};
+
+// Expand a rule into occurrence dates between startDate and endDate (both inclusive by day)
+exports.generateOccurrenceDates = (startDate, endDate, input) => {
+  const rule = exports.normalizeRule(input, startDate);
+  const first = startOfDay(startDate);
+  const limits = [endDate ? endOfDay(endDate) : null, rule.until || null].filter(Boolean);
+  const last = limits.length > 0 ? new Date(Math.min(...limits.map(d => d.getTime()))) : null;
+  const maxCount = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+  if (!last && !rule.count) {
+    throw ruleError('Recurrence needs an end date or an occurrence count');
+  }
+
+  const dates = [];
+  const withinRange = (date) => date >= first && (!last || date <= last);
+  const isDone = (cursor) => dates.length >= maxCount || (last && cursor > last);
+
+  if (rule.frequency === 'daily') {
+    // BYDAY limits a daily rule to those weekdays, as RFC 5545 does
+    const onDay = (date) => !rule.daysOfWeek || rule.daysOfWeek.includes(date.getDay());
+    // Every 7th day stays on the first weekday, so an excluded one never comes round
+    if (rule.interval % 7 === 0 && !onDay(first)) {
+      return dates;
+    }
+
+    for (const cursor = new Date(first); !isDone(cursor); cursor.setDate(cursor.getDate() + rule.interval)) {
+      if (onDay(cursor)) {
+        dates.push(new Date(cursor));
+      }
+    }
+  } else if (rule.frequency === 'weekly') {
+    const weekStart = new Date(first);
+    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+
+    for (; !isDone(weekStart); weekStart.setDate(weekStart.getDate() + 7 * rule.interval)) {
+      for (const day of rule.daysOfWeek) {
+        const date = new Date(weekStart);
+        date.setDate(date.getDate() + day);
+        if (withinRange(date) && dates.length < maxCount) {
+          dates.push(date);
+        }
+      }
+    }
+  } else {
+    for (const cursor = new Date(first.getFullYear(), first.getMonth(), 1); !isDone(cursor); cursor.setMonth(cursor.getMonth() + rule.interval)) {
+      let date;
+      if (rule.weekOfMonth !== undefined) {
+        date = nthWeekdayOfMonth(cursor.getFullYear(), cursor.getMonth(), rule.daysOfWeek[0], rule.weekOfMonth);
+      } else {
+        date = new Date(cursor.getFullYear(), cursor.getMonth(), rule.dayOfMonth);
+        // Skip months that do not have this day (e.g. the 31st), as RFC 5545 does
+        if (date.getMonth() !== cursor.getMonth()) date = null;
+      }
+      if (date && withinRange(date)) {
+        dates.push(date);
+      }
+    }
+  }
+
+  return dates;
+};
+
+// Build a rule from booking request input: an RRULE string or a recurrence object
+exports.buildRule = ({ rrule, recurrence }, startDate) => {
+  const rule = rrule ? exports.parseRRule(rrule) : (recurrence || { frequency: 'weekly' });
+  return exports.normalizeRule(rule, startDate);
+};